@@ -0,0 +1,238 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, TextInput, ScrollView, Alert } from 'react-native';
+import { ConnectionState } from '../services/RadarClient';
+import { AUTH_METHODS } from '../services/credentials';
+
+const describeSession = (credentials, status) => {
+  if (!credentials) {
+    return { text: 'Not signed in', color: '#8e8e93' };
+  }
+  switch (status.state) {
+    case ConnectionState.CONNECTED:
+      return { text: 'Session confirmed', color: '#34c759' };
+    case ConnectionState.AUTHENTICATING:
+      return { text: 'Authenticating...', color: '#ffcc00' };
+    case ConnectionState.AUTH_FAILED:
+      return { text: `Rejected: ${status.reason}`, color: '#ff3b30' };
+    default:
+      return { text: 'Waiting for connection', color: '#8e8e93' };
+  }
+};
+
+const AccountSettings = ({ credentials, radarStatus, onSaveCredentials, onSignOut }) => {
+  const [method, setMethod] = useState(credentials ? credentials.method : 'token');
+  const [value, setValue] = useState('');
+
+  const session = describeSession(credentials, radarStatus);
+
+  const handleSave = () => {
+    if (!value.trim()) {
+      Alert.alert(
+        "Invalid Credentials",
+        "Please enter a token or pairing code.",
+        [{ text: "OK" }]
+      );
+      return;
+    }
+
+    onSaveCredentials({ method, value: value.trim() });
+    setValue('');
+  };
+
+  const handleSignOut = () => {
+    Alert.alert(
+      "Sign Out",
+      "The app will reconnect without credentials.",
+      [
+        {
+          text: "Cancel",
+          style: "cancel"
+        },
+        {
+          text: "Sign Out",
+          style: "destructive",
+          onPress: onSignOut
+        }
+      ]
+    );
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Radar Server Session</Text>
+        <View style={styles.settingRow}>
+          <Text style={styles.settingLabel}>Status</Text>
+          <Text style={[styles.sessionText, { color: session.color }]}>{session.text}</Text>
+        </View>
+        {credentials && (
+          <View style={styles.settingRow}>
+            <Text style={styles.settingLabel}>Signed in with</Text>
+            <Text style={styles.sessionText}>
+              {AUTH_METHODS.find(authMethod => authMethod.id === credentials.method).label}
+            </Text>
+          </View>
+        )}
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{credentials ? 'Replace Credentials' : 'Sign In'}</Text>
+
+        <View style={styles.methodSelector}>
+          {AUTH_METHODS.map(authMethod => (
+            <TouchableOpacity
+              key={authMethod.id}
+              style={[
+                styles.methodOption,
+                method === authMethod.id && styles.methodOptionSelected
+              ]}
+              onPress={() => setMethod(authMethod.id)}
+            >
+              <Text style={[
+                styles.methodOptionText,
+                method === authMethod.id && styles.methodOptionTextSelected
+              ]}>
+                {authMethod.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <TextInput
+          style={styles.input}
+          value={value}
+          onChangeText={setValue}
+          placeholder={method === 'pairing_code' ? 'Enter the pairing code shown on the sensor' : 'Enter access token'}
+          autoCapitalize="none"
+          autoCorrect={false}
+          secureTextEntry={method === 'token'}
+          keyboardType={method === 'pairing_code' ? 'numeric' : 'default'}
+        />
+      </View>
+
+      <View style={styles.buttonContainer}>
+        <TouchableOpacity
+          style={[styles.button, value.trim() ? styles.saveButton : styles.saveButtonDisabled]}
+          onPress={handleSave}
+        >
+          <Text style={styles.buttonText}>Save and Reconnect</Text>
+        </TouchableOpacity>
+        {credentials && (
+          <TouchableOpacity
+            style={[styles.button, styles.signOutButton]}
+            onPress={handleSignOut}
+          >
+            <Text style={styles.buttonText}>Sign Out</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+    padding: 20,
+  },
+  section: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    paddingBottom: 8,
+  },
+  settingRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  settingLabel: {
+    fontSize: 16,
+    color: '#444',
+    flex: 1,
+  },
+  sessionText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#444',
+    flexShrink: 1,
+    textAlign: 'right',
+  },
+  methodSelector: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  methodOption: {
+    flex: 1,
+    paddingVertical: 8,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    backgroundColor: '#f8f8f8',
+  },
+  methodOptionSelected: {
+    backgroundColor: '#4CAF50',
+    borderColor: '#4CAF50',
+  },
+  methodOptionText: {
+    fontSize: 14,
+    color: '#444',
+  },
+  methodOptionTextSelected: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  input: {
+    backgroundColor: '#f8f8f8',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 16,
+  },
+  buttonContainer: {
+    marginTop: 20,
+    marginBottom: 40,
+  },
+  button: {
+    padding: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: 12,
+  },
+  saveButton: {
+    backgroundColor: '#4CAF50',
+  },
+  saveButtonDisabled: {
+    backgroundColor: '#9E9E9E',
+  },
+  signOutButton: {
+    backgroundColor: '#ff3b30',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default AccountSettings;
@@ -1,18 +1,55 @@
 import React, { useState, useCallback, useRef, useEffect } from 'react';
-import { View, Text, StyleSheet, TouchableOpacity, TextInput, ScrollView, Animated } from 'react-native';
+import { View, Text, StyleSheet, TouchableOpacity, TextInput, ScrollView, Animated, Alert } from 'react-native';
 import Slider from '@react-native-community/slider';
+import { ConnectionState } from '../services/RadarClient';
+import { useRadarMessage, useRadarStatus } from '../hooks/useRadarClient';
+import { SOCKET_SCHEMES, createProfileId, validateProfile } from '../services/connectionProfiles';
+import { SIMULATOR_SCENARIOS, SIMULATOR_SCHEME } from '../services/RadarSimulator';
+import { DEFAULT_SENSOR_SETTINGS, MOUNT_TYPES, validateSensorSettings } from '../services/sensorSettings';
 
-const DeviceSettings = ({ config, onSaveConfig, wsClient }) => {
+const isSameProfile = (a, b) =>
+  !!a && !!b &&
+  a.name === b.name &&
+  a.scheme === b.scheme &&
+  a.scenario === b.scenario &&
+  a.host === b.host &&
+  String(a.port) === String(b.port);
+
+const DeviceSettings = ({ config, onSaveConfig, radarClient, fallDetectionSupported = true, profiles, activeProfileId, onSaveProfiles, sensorSettings = DEFAULT_SENSOR_SETTINGS, onSaveSensorSettings }) => {
   const [settings, setSettings] = useState({
     fall_detection_enabled: config.fall_detection_enabled,
     sensitivity: config.sensitivity,
-    frame_time: config.frame_time,
-    websocket_host: config.websocket_host,
-    websocket_port: config.websocket_port
+    frame_time: config.frame_time
   });
 
+  // Connection profile being edited, either a saved one or a new draft
+  const [profileDraft, setProfileDraft] = useState(() => ({
+    ...profiles.find(profile => profile.id === activeProfileId)
+  }));
+
+  // Sensor coverage and mounting fields, kept as text while editing
+  const [sensorDraft, setSensorDraft] = useState({
+    fieldOfView: String(sensorSettings.fieldOfView),
+    maxRange: String(sensorSettings.maxRange),
+    mountType: sensorSettings.mountType,
+    rotation: String(sensorSettings.rotation),
+    positionX: String(sensorSettings.positionX),
+    positionY: String(sensorSettings.positionY),
+    mountHeight: String(sensorSettings.mountHeight)
+  });
+  const parsedSensorSettings = {
+    fieldOfView: parseFloat(sensorDraft.fieldOfView),
+    maxRange: parseFloat(sensorDraft.maxRange),
+    mountType: sensorDraft.mountType,
+    rotation: parseFloat(sensorDraft.rotation),
+    positionX: parseFloat(sensorDraft.positionX),
+    positionY: parseFloat(sensorDraft.positionY),
+    mountHeight: parseFloat(sensorDraft.mountHeight)
+  };
+
   const [sliderValue, setSliderValue] = useState(config.sensitivity);
   const [hasChanges, setHasChanges] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
   const isSliding = useRef(false);
   const slideAnim = React.useRef(new Animated.Value(config.fall_detection_enabled ? 1 : 0)).current;
 
@@ -22,175 +59,80 @@ const DeviceSettings = ({ config, onSaveConfig, wsClient }) => {
       settings.fall_detection_enabled !== config.fall_detection_enabled ||
       settings.sensitivity !== config.sensitivity ||
       settings.frame_time !== config.frame_time ||
-      settings.websocket_host !== config.websocket_host ||
-      settings.websocket_port !== config.websocket_port;
+      Object.keys(parsedSensorSettings).some(key => parsedSensorSettings[key] !== sensorSettings[key]) ||
+      profileDraft.id !== activeProfileId ||
+      !isSameProfile(profileDraft, profiles.find(profile => profile.id === profileDraft.id));
     
     setHasChanges(changesDetected);
-  }, [settings, config]);
+  }, [settings, config, sensorDraft, sensorSettings, profileDraft, profiles, activeProfileId]);
 
-  // Debug WebSocket connection
-  useEffect(() => {
-    if (wsClient) {
-      console.log('DeviceSettings: WebSocket client received:', wsClient);
-      console.log('DeviceSettings: WebSocket readyState:', wsClient.readyState);
-      
-      // Request settings immediately if WebSocket is open
-      if (wsClient.readyState === WebSocket.OPEN) {
-        console.log('DeviceSettings: WebSocket already open, requesting settings...');
-        requestFallDetectionSettings();
-      } else {
-        // Wait for connection to be established
-        const handleOpen = () => {
-          console.log('DeviceSettings: WebSocket connection opened');
-          // Add a small delay to ensure connection is stable
-          setTimeout(() => {
-            requestFallDetectionSettings();
-          }, 500);
-        };
-
-        wsClient.addEventListener('open', handleOpen);
-        return () => {
-          wsClient.removeEventListener('open', handleOpen);
-        };
-      }
-    } else {
-      console.log('DeviceSettings: No WebSocket client available');
-    }
-  }, [wsClient]);
+  const applyServerSettings = useCallback(({ enabled, sensitivity, frame_time_ms }) => {
+    // Convert sensitivity from 0-1 to 0-100 for the slider
+    const sliderSensitivity = Math.round(sensitivity * 100);
+    
+    // Update state
+    setSettings(prev => ({
+      ...prev,
+      fall_detection_enabled: enabled,
+      sensitivity: sensitivity, // Keep original value for server
+      frame_time: frame_time_ms
+    }));
+    
+    // Update slider value with converted value
+    setSliderValue(sliderSensitivity);
+    
+    // Update animation
+    Animated.timing(slideAnim, {
+      toValue: enabled ? 1 : 0,
+      duration: 200,
+      useNativeDriver: true,
+    }).start();
+  }, [slideAnim]);
+
+  // Request settings whenever the radar client (re)connects
+  const radarStatus = useRadarStatus(radarClient);
+  const isConnected = !!radarStatus && radarStatus.state === ConnectionState.CONNECTED;
 
-  // Handle WebSocket messages
   useEffect(() => {
-    if (!wsClient) {
-      console.log('DeviceSettings: No WebSocket client available');
+    if (!radarClient) {
+      console.log('DeviceSettings: No radar client available');
       return;
     }
-
-    const handleMessage = (event) => {
-      try {
-        console.log('DeviceSettings: Raw WebSocket message:', event.data);
-        const data = JSON.parse(event.data);
-        console.log('DeviceSettings: Parsed WebSocket message:', data);
-        
-        if (data.type === 'fall_detection_settings') {
-          console.log('DeviceSettings: Processing fall detection settings:', data.settings);
-          const { enabled, sensitivity, frame_time_ms } = data.settings;
-          
-          // Convert sensitivity from 0-1 to 0-100 for the slider
-          const sliderSensitivity = Math.round(sensitivity * 100);
-          
-          // Update state
-          setSettings(prev => ({
-            ...prev,
-            fall_detection_enabled: enabled,
-            sensitivity: sensitivity, // Keep original value for server
-            frame_time: frame_time_ms
-          }));
-          
-          // Update slider value with converted value
-          setSliderValue(sliderSensitivity);
-          
-          // Update animation
-          Animated.timing(slideAnim, {
-            toValue: enabled ? 1 : 0,
-            duration: 200,
-            useNativeDriver: true,
-          }).start();
-          
-        } else if (data.type === 'fall_detection_update') {
-          console.log('DeviceSettings: Processing fall detection update:', data);
-          if (data.status === 'success') {
-            const { enabled, sensitivity, frame_time_ms } = data.settings;
-            
-            // Convert sensitivity from 0-1 to 0-100 for the slider
-            const sliderSensitivity = Math.round(sensitivity * 100);
-            
-            // Update state
-            setSettings(prev => ({
-              ...prev,
-              fall_detection_enabled: enabled,
-              sensitivity: sensitivity, // Keep original value for server
-              frame_time: frame_time_ms
-            }));
-            
-            // Update slider value with converted value
-            setSliderValue(sliderSensitivity);
-            
-            // Update animation
-            Animated.timing(slideAnim, {
-              toValue: enabled ? 1 : 0,
-              duration: 200,
-              useNativeDriver: true,
-            }).start();
-          } else {
-            console.error('DeviceSettings: Failed to update settings:', data.message);
-          }
-        }
-      } catch (error) {
-        console.error('DeviceSettings: Error parsing WebSocket message:', error);
-      }
-    };
-
-    wsClient.addEventListener('message', handleMessage);
-    return () => {
-      wsClient.removeEventListener('message', handleMessage);
-    };
-  }, [wsClient, slideAnim]);
-
-  const requestFallDetectionSettings = () => {
-    if (!wsClient) {
-      console.log('DeviceSettings: No WebSocket client available for request');
-      return;
+    if (isConnected && fallDetectionSupported) {
+      requestFallDetectionSettings();
+    } else {
+      console.log('DeviceSettings: Waiting for connection before requesting settings');
     }
+  }, [radarClient, isConnected, fallDetectionSupported]);
 
-    if (wsClient.readyState === WebSocket.OPEN) {
-      console.log('DeviceSettings: Requesting fall detection settings...');
-      const request = {
-        type: 'request_fall_detection_settings'
-      };
-      console.log('DeviceSettings: Sending request:', request);
-      try {
-        wsClient.send(JSON.stringify(request));
-      } catch (error) {
-        console.error('DeviceSettings: Error sending request:', error);
-        // Retry after 1 second if WebSocket is not ready
-        setTimeout(() => {
-          if (wsClient.readyState === WebSocket.OPEN) {
-            requestFallDetectionSettings();
-          }
-        }, 1000);
-      }
+  useRadarMessage(radarClient, 'fall_detection_settings', (data) => {
+    console.log('DeviceSettings: Processing fall detection settings:', data.settings);
+    applyServerSettings(data.settings);
+  });
+
+  useRadarMessage(radarClient, 'fall_detection_update', (data) => {
+    console.log('DeviceSettings: Processing fall detection update:', data);
+    if (data.status === 'success') {
+      applyServerSettings(data.settings);
     } else {
-      console.log('DeviceSettings: WebSocket not ready for request, state:', wsClient.readyState);
-      // Retry after 1 second if WebSocket is not ready
-      setTimeout(() => {
-        if (wsClient.readyState === WebSocket.OPEN) {
-          requestFallDetectionSettings();
-        }
-      }, 1000);
+      console.error('DeviceSettings: Failed to update settings:', data.message);
     }
+  });
+
+  const requestFallDetectionSettings = () => {
+    console.log('DeviceSettings: Requesting fall detection settings...');
+    // The fall_detection_settings subscriber applies the reply
+    radarClient.request('request_fall_detection_settings').catch(error => {
+      console.error('DeviceSettings: Failed to fetch settings:', error.message);
+    });
   };
 
+  // Resolves with the server's fall_detection_update, rejects if it fails or times out
   const updateFallDetectionSettings = (newSettings) => {
-    if (!wsClient) {
-      console.log('DeviceSettings: No WebSocket client available for update');
-      return;
-    }
-
-    if (wsClient.readyState === WebSocket.OPEN) {
-      console.log('DeviceSettings: Updating fall detection settings:', newSettings);
-      const update = {
-        type: 'update_fall_detection_settings',
-        settings: newSettings
-      };
-      console.log('DeviceSettings: Sending update:', update);
-      try {
-        wsClient.send(JSON.stringify(update));
-      } catch (error) {
-        console.error('DeviceSettings: Error sending update:', error);
-      }
-    } else {
-      console.log('DeviceSettings: WebSocket not ready for update, state:', wsClient.readyState);
-    }
+    console.log('DeviceSettings: Updating fall detection settings:', newSettings);
+    return radarClient.request('update_fall_detection_settings', {
+      settings: newSettings
+    });
   };
 
   const handleSliderChange = useCallback((value) => {
@@ -241,129 +183,450 @@ const DeviceSettings = ({ config, onSaveConfig, wsClient }) => {
     outputRange: [0, 50],
   });
 
-  const handleSave = () => {
-    // Send all changes to server when save button is clicked
-    updateFallDetectionSettings({
-      enabled: settings.fall_detection_enabled,
-      sensitivity: settings.sensitivity,
-      frame_time_ms: parseInt(settings.frame_time)
+  const selectProfile = (profile) => {
+    setProfileDraft({ ...profile });
+  };
+
+  const startNewProfile = () => {
+    setProfileDraft({
+      id: createProfileId(),
+      name: '',
+      scheme: 'ws',
+      host: '',
+      port: 9001
     });
+  };
+
+  const updateProfileDraft = (field, value) => {
+    setProfileDraft(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  const selectScheme = (scheme) => {
+    setProfileDraft(prev => ({
+      ...prev,
+      scheme,
+      scenario: scheme === SIMULATOR_SCHEME ? (prev.scenario || SIMULATOR_SCENARIOS[0].id) : prev.scenario
+    }));
+  };
+
+  const handleDeleteProfile = () => {
+    if (profiles.length <= 1) {
+      Alert.alert(
+        "Cannot Delete Profile",
+        "At least one connection profile is required.",
+        [{ text: "OK" }]
+      );
+      return;
+    }
+
+    Alert.alert(
+      "Delete Profile",
+      `Are you sure you want to delete "${profileDraft.name}"?`,
+      [
+        {
+          text: "Cancel",
+          style: "cancel"
+        },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: () => {
+            const remaining = profiles.filter(profile => profile.id !== profileDraft.id);
+            const nextActiveId = profileDraft.id === activeProfileId ? remaining[0].id : activeProfileId;
+            onSaveProfiles(remaining, nextActiveId);
+            setProfileDraft({ ...remaining.find(profile => profile.id === nextActiveId) });
+          }
+        }
+      ]
+    );
+  };
+
+  const handleSave = async () => {
+    const profileError = validateProfile(profileDraft);
+    if (profileError) {
+      Alert.alert(
+        "Invalid Connection Profile",
+        profileError,
+        [{ text: "OK" }]
+      );
+      return;
+    }
+
+    const sensorError = validateSensorSettings(parsedSensorSettings);
+    if (sensorError) {
+      Alert.alert(
+        "Invalid Sensor Settings",
+        sensorError,
+        [{ text: "OK" }]
+      );
+      return;
+    }
+
+    const savedProfile = profileDraft.scheme === SIMULATOR_SCHEME
+      ? { ...profileDraft, name: profileDraft.name.trim() }
+      : {
+        ...profileDraft,
+        name: profileDraft.name.trim(),
+        host: profileDraft.host.trim(),
+        port: parseInt(profileDraft.port)
+      };
 
-    // Save WebSocket settings
-    const newConfig = {
-      fall_detection: {
-        enabled: settings.fall_detection_enabled,
-        sensitivity: settings.sensitivity,
-        frame_time_ms: parseInt(settings.frame_time)
-      },
-      websocket: {
-        host: settings.websocket_host,
-        port: parseInt(settings.websocket_port)
+    // Send fall detection changes to the server and wait for it to confirm
+    let fallDetectionSaved = true;
+    if (radarClient && radarClient.isOpen() && fallDetectionSupported) {
+      setIsSaving(true);
+      try {
+        await updateFallDetectionSettings({
+          enabled: settings.fall_detection_enabled,
+          sensitivity: settings.sensitivity,
+          frame_time_ms: parseInt(settings.frame_time)
+        });
+      } catch (error) {
+        console.error('DeviceSettings: Failed to update settings:', error);
+        fallDetectionSaved = false;
+        Alert.alert(
+          "Save Failed",
+          error.code === 'timeout'
+            ? "The radar did not confirm the new fall detection settings. The connection and sensor settings were saved."
+            : `The radar rejected the new settings: ${error.message}. The connection and sensor settings were saved.`,
+          [{ text: "OK" }]
+        );
+      } finally {
+        setIsSaving(false);
       }
-    };
-    onSaveConfig(newConfig);
-    setHasChanges(false); // Reset changes after save
+    } else {
+      console.log('DeviceSettings: Not connected, saving connection profile only');
+    }
+
+    // The profile only decides where the app connects, so it is not part of the sensor's config
+    if (fallDetectionSaved) {
+      const newConfig = {
+        fall_detection: {
+          enabled: settings.fall_detection_enabled,
+          sensitivity: settings.sensitivity,
+          frame_time_ms: parseInt(settings.frame_time)
+        }
+      };
+      onSaveConfig(newConfig);
+    }
+
+    // The connection profile and sensor mounting live on the device, so they are
+    // saved even when the sensor does not accept the fall detection settings,
+    // e.g. to switch away from an unresponsive sensor
+    if (onSaveSensorSettings) {
+      onSaveSensorSettings(parsedSensorSettings);
+    }
+    const isExisting = profiles.some(profile => profile.id === savedProfile.id);
+    const newProfiles = isExisting
+      ? profiles.map(profile => (profile.id === savedProfile.id ? savedProfile : profile))
+      : [...profiles, savedProfile];
+    onSaveProfiles(newProfiles, savedProfile.id);
+    setProfileDraft(savedProfile);
+    if (fallDetectionSaved) {
+      setHasChanges(false); // Reset changes after save
+    }
   };
 
   return (
     <ScrollView style={styles.container}>
-      <View style={styles.section}>
-        <Text style={styles.sectionTitle}>Fall Detection Settings</Text>
+      {fallDetectionSupported && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Fall Detection Settings</Text>
         
-        <View style={styles.settingRow}>
-          <Text style={styles.settingLabel}>Fall Detection</Text>
-          <TouchableOpacity 
-            style={[
-              styles.toggleContainer,
-              settings.fall_detection_enabled ? styles.toggleActive : styles.toggleInactive
-            ]}
-            onPress={toggleFallDetection}
-          >
-            <Animated.View 
+          <View style={styles.settingRow}>
+            <Text style={styles.settingLabel}>Fall Detection</Text>
+            <TouchableOpacity 
               style={[
-                styles.toggleThumb,
-                {
-                  transform: [{ translateX }]
-                }
+                styles.toggleContainer,
+                settings.fall_detection_enabled ? styles.toggleActive : styles.toggleInactive
               ]}
-            />
-            <View style={styles.toggleLabelsContainer}>
-              <Text style={[
-                styles.toggleLabel,
-                settings.fall_detection_enabled ? styles.toggleLabelActive : styles.toggleLabelInactive
-              ]}>On</Text>
-              <Text style={[
-                styles.toggleLabel,
-                !settings.fall_detection_enabled ? styles.toggleLabelActive : styles.toggleLabelInactive
-              ]}>Off</Text>
+              onPress={toggleFallDetection}
+            >
+              <Animated.View 
+                style={[
+                  styles.toggleThumb,
+                  {
+                    transform: [{ translateX }]
+                  }
+                ]}
+              />
+              <View style={styles.toggleLabelsContainer}>
+                <Text style={[
+                  styles.toggleLabel,
+                  settings.fall_detection_enabled ? styles.toggleLabelActive : styles.toggleLabelInactive
+                ]}>On</Text>
+                <Text style={[
+                  styles.toggleLabel,
+                  !settings.fall_detection_enabled ? styles.toggleLabelActive : styles.toggleLabelInactive
+                ]}>Off</Text>
+              </View>
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.settingRow}>
+            <Text style={styles.settingLabel}>Sensitivity: {sliderValue}%</Text>
+            <View style={styles.sliderContainer}>
+              <Text style={styles.sliderValue}>0</Text>
+              <Slider
+                style={styles.slider}
+                minimumValue={0}
+                maximumValue={100}
+                step={1}
+                value={sliderValue}
+                onValueChange={handleSliderChange}
+                onSlidingStart={handleSliderStart}
+                onSlidingComplete={handleSliderComplete}
+                minimumTrackTintColor="#4CAF50"
+                maximumTrackTintColor="#E0E0E0"
+                thumbTintColor="#4CAF50"
+              />
+              <Text style={styles.sliderValue}>100</Text>
             </View>
-          </TouchableOpacity>
-        </View>
+          </View>
 
-        <View style={styles.settingRow}>
-          <Text style={styles.settingLabel}>Sensitivity: {sliderValue}%</Text>
-          <View style={styles.sliderContainer}>
-            <Text style={styles.sliderValue}>0</Text>
-            <Slider
-              style={styles.slider}
-              minimumValue={0}
-              maximumValue={100}
-              step={1}
-              value={sliderValue}
-              onValueChange={handleSliderChange}
-              onSlidingStart={handleSliderStart}
-              onSlidingComplete={handleSliderComplete}
-              minimumTrackTintColor="#4CAF50"
-              maximumTrackTintColor="#E0E0E0"
-              thumbTintColor="#4CAF50"
+          <View style={styles.settingRow}>
+            <Text style={styles.settingLabel}>Frame Time (ms)</Text>
+            <TextInput
+              style={styles.input}
+              value={settings.frame_time.toString()}
+              onChangeText={(text) => {
+                const value = parseInt(text) || 0;
+                setSettings(prev => ({
+                  ...prev,
+                  frame_time: value
+                }));
+              }}
+              keyboardType="numeric"
+              placeholder="Enter frame time"
             />
-            <Text style={styles.sliderValue}>100</Text>
           </View>
         </View>
+      )}
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Sensor Coverage</Text>
 
         <View style={styles.settingRow}>
-          <Text style={styles.settingLabel}>Frame Time (ms)</Text>
+          <Text style={styles.settingLabel}>Field of View (°)</Text>
           <TextInput
             style={styles.input}
-            value={settings.frame_time.toString()}
-            onChangeText={(text) => {
-              const value = parseInt(text) || 0;
-              setSettings(prev => ({
-                ...prev,
-                frame_time: value
-              }));
-            }}
+            value={sensorDraft.fieldOfView}
+            onChangeText={(value) => setSensorDraft(prev => ({ ...prev, fieldOfView: value }))}
             keyboardType="numeric"
-            placeholder="Enter frame time"
+            placeholder="e.g. 120"
+          />
+        </View>
+
+        <View style={styles.settingRow}>
+          <Text style={styles.settingLabel}>Maximum Range (m)</Text>
+          <TextInput
+            style={styles.input}
+            value={sensorDraft.maxRange}
+            onChangeText={(value) => setSensorDraft(prev => ({ ...prev, maxRange: value }))}
+            keyboardType="decimal-pad"
+            placeholder="e.g. 6"
           />
         </View>
       </View>
 
       <View style={styles.section}>
-        <Text style={styles.sectionTitle}>WebSocket Configuration</Text>
-        
+        <Text style={styles.sectionTitle}>Sensor Mounting</Text>
+        <Text style={styles.helpText}>
+          Where the sensor is in the room. Zones are kept in room coordinates, so they stay in
+          place when the sensor is moved.
+        </Text>
+
+        <View style={styles.settingRow}>
+          <Text style={styles.settingLabel}>Mount</Text>
+          <View style={[styles.schemeSelector, styles.mountSelector]}>
+            {MOUNT_TYPES.map(type => (
+              <TouchableOpacity
+                key={type.id}
+                style={[
+                  styles.schemeOption,
+                  sensorDraft.mountType === type.id && styles.schemeOptionSelected
+                ]}
+                onPress={() => setSensorDraft(prev => ({ ...prev, mountType: type.id }))}
+              >
+                <Text style={[
+                  styles.schemeOptionText,
+                  sensorDraft.mountType === type.id && styles.schemeOptionTextSelected
+                ]}>
+                  {type.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
         <View style={styles.settingRow}>
-          <Text style={styles.settingLabel}>Host Address</Text>
+          <Text style={styles.settingLabel}>Rotation (°)</Text>
           <TextInput
             style={styles.input}
-            value={settings.websocket_host}
-            onChangeText={(value) => setSettings({...settings, websocket_host: value})}
-            placeholder="Enter host address"
+            value={sensorDraft.rotation}
+            onChangeText={(value) => setSensorDraft(prev => ({ ...prev, rotation: value }))}
+            keyboardType="numbers-and-punctuation"
+            placeholder="e.g. 45"
           />
         </View>
 
         <View style={styles.settingRow}>
-          <Text style={styles.settingLabel}>Port Number</Text>
+          <Text style={styles.settingLabel}>Position X (m)</Text>
           <TextInput
             style={styles.input}
-            value={settings.websocket_port.toString()}
-            onChangeText={(value) => setSettings({...settings, websocket_port: value})}
-            keyboardType="numeric"
-            placeholder="Enter port number"
+            value={sensorDraft.positionX}
+            onChangeText={(value) => setSensorDraft(prev => ({ ...prev, positionX: value }))}
+            keyboardType="numbers-and-punctuation"
+            placeholder="e.g. 0"
+          />
+        </View>
+
+        <View style={styles.settingRow}>
+          <Text style={styles.settingLabel}>Position Y (m)</Text>
+          <TextInput
+            style={styles.input}
+            value={sensorDraft.positionY}
+            onChangeText={(value) => setSensorDraft(prev => ({ ...prev, positionY: value }))}
+            keyboardType="numbers-and-punctuation"
+            placeholder="e.g. 0"
+          />
+        </View>
+
+        <View style={styles.settingRow}>
+          <Text style={styles.settingLabel}>Mounting Height (m)</Text>
+          <TextInput
+            style={styles.input}
+            value={sensorDraft.mountHeight}
+            onChangeText={(value) => setSensorDraft(prev => ({ ...prev, mountHeight: value }))}
+            keyboardType="decimal-pad"
+            placeholder="e.g. 2.4"
           />
         </View>
       </View>
 
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>WebSocket Configuration</Text>
+
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          contentContainerStyle={styles.profileList}
+        >
+          {profiles.map(profile => (
+            <TouchableOpacity
+              key={profile.id}
+              style={[
+                styles.profileChip,
+                profile.id === profileDraft.id && styles.profileChipSelected
+              ]}
+              onPress={() => selectProfile(profile)}
+            >
+              <Text style={[
+                styles.profileChipText,
+                profile.id === profileDraft.id && styles.profileChipTextSelected
+              ]}>
+                {profile.name}{profile.id === activeProfileId ? ' (active)' : ''}
+              </Text>
+            </TouchableOpacity>
+          ))}
+          <TouchableOpacity style={styles.profileChip} onPress={startNewProfile}>
+            <Text style={styles.profileChipText}>+ New</Text>
+          </TouchableOpacity>
+        </ScrollView>
+
+        <View style={styles.settingRow}>
+          <Text style={styles.settingLabel}>Profile Name</Text>
+          <TextInput
+            style={styles.input}
+            value={profileDraft.name}
+            onChangeText={(value) => updateProfileDraft('name', value)}
+            placeholder="Enter profile name"
+          />
+        </View>
+
+        <View style={styles.settingRow}>
+          <Text style={styles.settingLabel}>Scheme</Text>
+          <View style={styles.schemeSelector}>
+            {SOCKET_SCHEMES.map(scheme => (
+              <TouchableOpacity
+                key={scheme}
+                style={[
+                  styles.schemeOption,
+                  profileDraft.scheme === scheme && styles.schemeOptionSelected
+                ]}
+                onPress={() => selectScheme(scheme)}
+              >
+                <Text style={[
+                  styles.schemeOptionText,
+                  profileDraft.scheme === scheme && styles.schemeOptionTextSelected
+                ]}>
+                  {scheme === SIMULATOR_SCHEME ? 'Simulator' : `${scheme}://`}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        {profileDraft.scheme === SIMULATOR_SCHEME ? (
+          <View style={styles.settingRow}>
+            <Text style={styles.settingLabel}>Scenario</Text>
+            <View style={styles.schemeSelector}>
+              {SIMULATOR_SCENARIOS.map(scenario => (
+                <TouchableOpacity
+                  key={scenario.id}
+                  style={[
+                    styles.schemeOption,
+                    profileDraft.scenario === scenario.id && styles.schemeOptionSelected
+                  ]}
+                  onPress={() => updateProfileDraft('scenario', scenario.id)}
+                >
+                  <Text style={[
+                    styles.schemeOptionText,
+                    profileDraft.scenario === scenario.id && styles.schemeOptionTextSelected
+                  ]}>
+                    {scenario.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+        ) : (
+          <>
+            <View style={styles.settingRow}>
+              <Text style={styles.settingLabel}>Host Address</Text>
+              <TextInput
+                style={styles.input}
+                value={profileDraft.host}
+                onChangeText={(value) => updateProfileDraft('host', value)}
+                autoCapitalize="none"
+                autoCorrect={false}
+                placeholder="Enter host address"
+              />
+            </View>
+
+            <View style={styles.settingRow}>
+              <Text style={styles.settingLabel}>Port Number</Text>
+              <TextInput
+                style={styles.input}
+                value={profileDraft.port.toString()}
+                onChangeText={(value) => updateProfileDraft('port', value)}
+                keyboardType="numeric"
+                placeholder="Enter port number"
+              />
+            </View>
+          </>
+        )}
+
+        {profiles.some(profile => profile.id === profileDraft.id) && (
+          <TouchableOpacity style={styles.deleteProfileButton} onPress={handleDeleteProfile}>
+            <Text style={styles.deleteProfileText}>Delete Profile</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
       <View style={styles.buttonContainer}>
         <TouchableOpacity 
           style={[
@@ -371,8 +634,9 @@ const DeviceSettings = ({ config, onSaveConfig, wsClient }) => {
             hasChanges ? styles.saveButton : styles.saveButtonDisabled
           ]}
           onPress={handleSave}
+          disabled={isSaving}
         >
-          <Text style={styles.buttonText}>Save Settings</Text>
+          <Text style={styles.buttonText}>{isSaving ? 'Saving...' : 'Save Settings'}</Text>
         </TouchableOpacity>
       </View>
     </ScrollView>
@@ -405,6 +669,11 @@ const styles = StyleSheet.create({
     borderBottomColor: '#eee',
     paddingBottom: 8,
   },
+  helpText: {
+    fontSize: 13,
+    color: '#8e8e93',
+    marginBottom: 4,
+  },
   settingRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -490,6 +759,66 @@ const styles = StyleSheet.create({
     width: 30,
     textAlign: 'center',
   },
+  profileList: {
+    paddingBottom: 8,
+  },
+  profileChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    backgroundColor: '#f8f8f8',
+    marginRight: 8,
+  },
+  profileChipSelected: {
+    backgroundColor: '#4CAF50',
+    borderColor: '#4CAF50',
+  },
+  profileChipText: {
+    fontSize: 14,
+    color: '#444',
+  },
+  profileChipTextSelected: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  schemeSelector: {
+    flexDirection: 'row',
+    width: 210,
+  },
+  mountSelector: {
+    width: 140,
+  },
+  schemeOption: {
+    flex: 1,
+    paddingVertical: 8,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    backgroundColor: '#f8f8f8',
+  },
+  schemeOptionSelected: {
+    backgroundColor: '#4CAF50',
+    borderColor: '#4CAF50',
+  },
+  schemeOptionText: {
+    fontSize: 14,
+    color: '#444',
+  },
+  schemeOptionTextSelected: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  deleteProfileButton: {
+    paddingTop: 12,
+    alignItems: 'flex-end',
+  },
+  deleteProfileText: {
+    fontSize: 14,
+    color: '#ff3b30',
+    fontWeight: '600',
+  },
   buttonContainer: {
     marginTop: 20,
     marginBottom: 40,
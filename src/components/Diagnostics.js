@@ -0,0 +1,335 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView } from 'react-native';
+import { ConnectionState } from '../services/RadarClient';
+
+// Refresh interval for the figures shown while the screen is open
+const REFRESH_INTERVAL = 1000;
+
+// Round-trip time above which the network is considered the bottleneck
+const SLOW_RTT = 500;
+// target_update rate below which the server is considered slow
+const MIN_FRAME_RATE = 2;
+
+const formatMs = (value) => (value === null || value === undefined ? '-' : `${value} ms`);
+
+// Tell a network problem (slow or missing pongs) from a server problem
+// (pongs arrive quickly but frames do not)
+const describeHealth = (status, metrics) => {
+  if (status.state !== ConnectionState.CONNECTED) {
+    return { text: 'Not connected', color: '#8e8e93' };
+  }
+  if (metrics.pendingPingAge !== null && metrics.pendingPingAge > SLOW_RTT * 4) {
+    return { text: `Network: no pong for ${(metrics.pendingPingAge / 1000).toFixed(1)}s`, color: '#ff3b30' };
+  }
+  if (metrics.rtt && metrics.rtt.last > SLOW_RTT) {
+    return { text: `Network: slow round trip (${metrics.rtt.last} ms)`, color: '#ff9500' };
+  }
+  const frameRate = metrics.messageRates.target_update || 0;
+  if (metrics.rtt && frameRate < MIN_FRAME_RATE) {
+    return { text: `Server: only ${frameRate.toFixed(1)} frames/s`, color: '#ff9500' };
+  }
+  if (!metrics.rtt) {
+    return { text: 'Waiting for first pong', color: '#8e8e93' };
+  }
+  return { text: 'Healthy', color: '#34c759' };
+};
+
+const Diagnostics = ({ radarClient, radarStatus }) => {
+  const [report, setReport] = useState(radarClient.validationReport);
+  const [metrics, setMetrics] = useState(() => radarClient.getMetrics());
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const refreshTimer = setInterval(() => {
+      setReport({ ...radarClient.validationReport });
+      setMetrics(radarClient.getMetrics());
+      setNow(Date.now());
+    }, REFRESH_INTERVAL);
+    return () => clearInterval(refreshTimer);
+  }, [radarClient]);
+
+  const handlePing = () => {
+    if (radarClient.ping()) {
+      setMetrics(radarClient.getMetrics());
+    }
+  };
+
+  const handleResetValidation = () => {
+    radarClient.resetValidationReport();
+    setReport(radarClient.validationReport);
+  };
+
+  const messageTypes = Object.keys(report.byType).sort();
+  const receivedTypes = Object.keys(metrics.messageTotals).sort();
+  const health = describeHealth(radarStatus, metrics);
+  const retryIn = radarStatus.nextRetryAt ? Math.max(0, Math.ceil((radarStatus.nextRetryAt - now) / 1000)) : null;
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Connection</Text>
+        <View style={styles.infoRow}>
+          <Text style={styles.infoLabel}>Health</Text>
+          <Text style={[styles.infoValue, { color: health.color }]}>{health.text}</Text>
+        </View>
+        <View style={styles.infoRow}>
+          <Text style={styles.infoLabel}>State</Text>
+          <Text style={styles.infoValue}>{radarStatus.state}</Text>
+        </View>
+        <View style={styles.infoRow}>
+          <Text style={styles.infoLabel}>Reconnect attempts</Text>
+          <Text style={styles.infoValue}>
+            {radarStatus.attempts} / {radarClient.options.maxReconnectAttempts}
+          </Text>
+        </View>
+        {radarStatus.state === ConnectionState.RECONNECTING && (
+          <View style={styles.infoRow}>
+            <Text style={styles.infoLabel}>Next attempt</Text>
+            <Text style={styles.infoValue}>
+              {retryIn !== null ? `in ${retryIn}s` : '-'} (backoff {formatMs(radarStatus.retryDelay)})
+            </Text>
+          </View>
+        )}
+      </View>
+
+      <View style={styles.section}>
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionTitle}>Latency</Text>
+          <TouchableOpacity onPress={handlePing}>
+            <Text style={styles.resetText}>Ping now</Text>
+          </TouchableOpacity>
+        </View>
+        <View style={styles.infoRow}>
+          <Text style={styles.infoLabel}>Last round trip</Text>
+          <Text style={styles.infoValue}>{formatMs(metrics.rtt && metrics.rtt.last)}</Text>
+        </View>
+        <View style={styles.infoRow}>
+          <Text style={styles.infoLabel}>Average / min / max</Text>
+          <Text style={styles.infoValue}>
+            {metrics.rtt ? `${metrics.rtt.average} / ${metrics.rtt.min} / ${metrics.rtt.max} ms` : '-'}
+          </Text>
+        </View>
+        {metrics.pendingPingAge !== null && (
+          <View style={styles.infoRow}>
+            <Text style={styles.infoLabel}>Waiting for pong</Text>
+            <Text style={styles.infoValue}>{formatMs(metrics.pendingPingAge)}</Text>
+          </View>
+        )}
+        <View style={styles.infoRow}>
+          <Text style={styles.infoLabel}>Target frames</Text>
+          <Text style={styles.infoValue}>
+            {(metrics.messageRates.target_update || 0).toFixed(1)} /s
+          </Text>
+        </View>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Messages Received</Text>
+        <View style={[styles.tableRow, styles.tableHeader]}>
+          <Text style={[styles.tableCell, styles.typeCell]}>Type</Text>
+          <Text style={styles.tableCell}>Total</Text>
+          <Text style={styles.tableCell}>Per second</Text>
+        </View>
+        {receivedTypes.length === 0 ? (
+          <Text style={styles.emptyText}>No messages received yet</Text>
+        ) : (
+          receivedTypes.map(type => (
+            <View key={type} style={styles.tableRow}>
+              <Text style={[styles.tableCell, styles.typeCell]}>{type}</Text>
+              <Text style={styles.tableCell}>{metrics.messageTotals[type]}</Text>
+              <Text style={styles.tableCell}>{(metrics.messageRates[type] || 0).toFixed(1)}</Text>
+            </View>
+          ))
+        )}
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Connection History</Text>
+        {metrics.connectionEvents.length === 0 ? (
+          <Text style={styles.emptyText}>No connection changes yet</Text>
+        ) : (
+          [...metrics.connectionEvents].reverse().map((event, index) => (
+            <View key={index} style={styles.issueEntry}>
+              <Text style={styles.issueTitle}>
+                {new Date(event.time).toLocaleTimeString()} {event.state}
+              </Text>
+              {event.code !== undefined && (
+                <Text style={styles.issueText}>
+                  Close code {event.code}{event.reason ? `: ${event.reason}` : ''}
+                </Text>
+              )}
+              {event.code === undefined && event.reason && (
+                <Text style={styles.issueText}>{event.reason}</Text>
+              )}
+              {event.retryDelay !== undefined && (
+                <Text style={styles.issueText}>
+                  Attempt {event.attempts}, retry after {formatMs(event.retryDelay)}
+                </Text>
+              )}
+            </View>
+          ))
+        )}
+      </View>
+
+      <View style={styles.section}>
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionTitle}>Malformed Messages</Text>
+          <TouchableOpacity onPress={handleResetValidation}>
+            <Text style={styles.resetText}>Reset</Text>
+          </TouchableOpacity>
+        </View>
+        <Text style={styles.sinceText}>Since {new Date(report.since).toLocaleString()}</Text>
+
+        <View style={[styles.tableRow, styles.tableHeader]}>
+          <Text style={[styles.tableCell, styles.typeCell]}>Type</Text>
+          <Text style={styles.tableCell}>OK</Text>
+          <Text style={styles.tableCell}>Repaired</Text>
+          <Text style={styles.tableCell}>Rejected</Text>
+        </View>
+        {messageTypes.length === 0 ? (
+          <Text style={styles.emptyText}>No messages received yet</Text>
+        ) : (
+          messageTypes.map(type => {
+            const counts = report.byType[type];
+            return (
+              <View key={type} style={styles.tableRow}>
+                <Text style={[styles.tableCell, styles.typeCell]}>{type}</Text>
+                <Text style={styles.tableCell}>{counts.accepted}</Text>
+                <Text style={[styles.tableCell, counts.repaired > 0 && styles.warningText]}>
+                  {counts.repaired}
+                </Text>
+                <Text style={[styles.tableCell, counts.rejected > 0 && styles.errorText]}>
+                  {counts.rejected}
+                </Text>
+              </View>
+            );
+          })
+        )}
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Recent Issues</Text>
+        {report.recentIssues.length === 0 ? (
+          <Text style={styles.emptyText}>No issues found</Text>
+        ) : (
+          [...report.recentIssues].reverse().map((entry, index) => (
+            <View key={index} style={styles.issueEntry}>
+              <Text style={[styles.issueTitle, entry.rejected ? styles.errorText : styles.warningText]}>
+                {entry.time} {entry.type} {entry.rejected ? 'rejected' : 'repaired'}
+              </Text>
+              {entry.issues.map((issue, issueIndex) => (
+                <Text key={issueIndex} style={styles.issueText}>• {issue}</Text>
+              ))}
+            </View>
+          ))
+        )}
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+    padding: 20,
+  },
+  section: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  resetText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#5856D6',
+  },
+  sinceText: {
+    fontSize: 12,
+    color: '#8e8e93',
+    marginBottom: 12,
+  },
+  tableRow: {
+    flexDirection: 'row',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  tableHeader: {
+    borderBottomColor: '#ddd',
+  },
+  tableCell: {
+    flex: 1,
+    fontSize: 13,
+    color: '#444',
+    textAlign: 'right',
+  },
+  typeCell: {
+    flex: 2,
+    textAlign: 'left',
+  },
+  infoRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  infoLabel: {
+    fontSize: 14,
+    color: '#444',
+    flex: 1,
+  },
+  infoValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#444',
+    flexShrink: 1,
+    textAlign: 'right',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#8e8e93',
+    paddingVertical: 8,
+  },
+  issueEntry: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  issueTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  issueText: {
+    fontSize: 12,
+    color: '#666',
+  },
+  warningText: {
+    color: '#ff9500',
+  },
+  errorText: {
+    color: '#ff3b30',
+  },
+});
+
+export default Diagnostics;
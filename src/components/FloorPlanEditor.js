@@ -0,0 +1,354 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, TextInput, ScrollView, Alert, Image } from 'react-native';
+import * as DocumentPicker from 'expo-document-picker';
+import {
+  FLOOR_PLAN_ELEMENTS,
+  deleteFloorPlanImage,
+  importFloorPlanImage,
+  validateCalibration
+} from '../services/floorPlan';
+
+const getImageSize = (uri) => new Promise((resolve, reject) => {
+  Image.getSize(uri, (width, height) => resolve({ width, height }), reject);
+});
+
+const elementTypeLabel = (type) => FLOOR_PLAN_ELEMENTS.find(option => option.id === type).label;
+
+// Import and calibrate the floor plan, and rename or remove what was drawn on it.
+// Drawing itself happens on the radar view.
+const FloorPlanEditor = ({ floorPlan, onSave }) => {
+  const { image, calibration, elements } = floorPlan;
+
+  // Calibration fields, kept as text while editing
+  const [calibrationDraft, setCalibrationDraft] = useState({
+    imageWidth: String(calibration.imageWidth),
+    rotation: String(calibration.rotation),
+    offsetX: String(calibration.offsetX),
+    offsetY: String(calibration.offsetY)
+  });
+
+  const updateDraft = (field, value) => {
+    setCalibrationDraft(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleImportImage = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({ type: 'image/*', copyToCacheDirectory: true });
+      if (result.canceled) return;
+
+      const asset = result.assets[0];
+      const uri = await importFloorPlanImage(asset.uri, asset.name);
+      const size = await getImageSize(uri);
+      if (image) {
+        deleteFloorPlanImage(image.uri);
+      }
+      onSave({ ...floorPlan, image: { uri, ...size } });
+    } catch (error) {
+      console.error('FloorPlanEditor: Image import failed:', error);
+      Alert.alert(
+        "Import Failed",
+        `The image could not be imported: ${error.message}`,
+        [{ text: "OK" }]
+      );
+    }
+  };
+
+  const handleRemoveImage = () => {
+    deleteFloorPlanImage(image.uri);
+    onSave({ ...floorPlan, image: null });
+  };
+
+  const handleApplyCalibration = () => {
+    const parsed = {
+      imageWidth: parseFloat(calibrationDraft.imageWidth),
+      rotation: parseFloat(calibrationDraft.rotation),
+      offsetX: parseFloat(calibrationDraft.offsetX),
+      offsetY: parseFloat(calibrationDraft.offsetY)
+    };
+    const error = validateCalibration(parsed);
+    if (error) {
+      Alert.alert(
+        "Invalid Calibration",
+        error,
+        [{ text: "OK" }]
+      );
+      return;
+    }
+    onSave({ ...floorPlan, calibration: parsed });
+  };
+
+  const handleRenameElement = (element, label) => {
+    if (label.trim() === element.label) return;
+    onSave({
+      ...floorPlan,
+      elements: elements.map(item => (item.id === element.id ? { ...item, label: label.trim() } : item))
+    });
+  };
+
+  const handleDeleteElement = (element) => {
+    onSave({ ...floorPlan, elements: elements.filter(item => item.id !== element.id) });
+  };
+
+  const handleClearElements = () => {
+    Alert.alert(
+      "Clear Drawing",
+      "Remove all walls, doors and furniture from the floor plan?",
+      [
+        {
+          text: "Cancel",
+          style: "cancel"
+        },
+        {
+          text: "Clear",
+          style: "destructive",
+          onPress: () => onSave({ ...floorPlan, elements: [] })
+        }
+      ]
+    );
+  };
+
+  return (
+    <ScrollView style={styles.container} keyboardShouldPersistTaps="handled">
+      <View style={styles.section}>
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionTitle}>Image</Text>
+          <TouchableOpacity onPress={handleImportImage}>
+            <Text style={styles.linkText}>{image ? 'Replace' : 'Import'}</Text>
+          </TouchableOpacity>
+        </View>
+        {image ? (
+          <>
+            <Image
+              source={{ uri: image.uri }}
+              style={[styles.preview, { aspectRatio: image.width / image.height }]}
+              resizeMode="contain"
+            />
+            <View style={styles.imageInfo}>
+              <Text style={styles.infoText}>{image.width} × {image.height} px</Text>
+              <TouchableOpacity onPress={handleRemoveImage}>
+                <Text style={[styles.linkText, styles.deleteText]}>Remove</Text>
+              </TouchableOpacity>
+            </View>
+          </>
+        ) : (
+          <Text style={styles.emptyText}>No floor plan image</Text>
+        )}
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Calibration</Text>
+        <Text style={styles.helpText}>
+          The image's top-left corner is placed at the offset from the room origin, then the
+          plan is rotated around that corner. Walls, doors and furniture move with it.
+        </Text>
+
+        <View style={styles.settingRow}>
+          <Text style={styles.settingLabel}>Image Width (m)</Text>
+          <TextInput
+            style={styles.input}
+            value={calibrationDraft.imageWidth}
+            onChangeText={(value) => updateDraft('imageWidth', value)}
+            keyboardType="decimal-pad"
+            placeholder="e.g. 5"
+          />
+        </View>
+        <View style={styles.settingRow}>
+          <Text style={styles.settingLabel}>Rotation (°)</Text>
+          <TextInput
+            style={styles.input}
+            value={calibrationDraft.rotation}
+            onChangeText={(value) => updateDraft('rotation', value)}
+            keyboardType="numbers-and-punctuation"
+            placeholder="e.g. 0"
+          />
+        </View>
+        <View style={styles.settingRow}>
+          <Text style={styles.settingLabel}>Offset X (m)</Text>
+          <TextInput
+            style={styles.input}
+            value={calibrationDraft.offsetX}
+            onChangeText={(value) => updateDraft('offsetX', value)}
+            keyboardType="numbers-and-punctuation"
+            placeholder="e.g. -2.5"
+          />
+        </View>
+        <View style={styles.settingRow}>
+          <Text style={styles.settingLabel}>Offset Y (m)</Text>
+          <TextInput
+            style={styles.input}
+            value={calibrationDraft.offsetY}
+            onChangeText={(value) => updateDraft('offsetY', value)}
+            keyboardType="numbers-and-punctuation"
+            placeholder="e.g. 0"
+          />
+        </View>
+
+        <TouchableOpacity style={styles.button} onPress={handleApplyCalibration}>
+          <Text style={styles.buttonText}>Apply Calibration</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.section}>
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionTitle}>Walls, Doors and Furniture</Text>
+          {elements.length > 0 && (
+            <TouchableOpacity onPress={handleClearElements}>
+              <Text style={[styles.linkText, styles.deleteText]}>Clear</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+        <Text style={styles.helpText}>
+          Use the Draw button on the radar view and tap two points to add a wall or door,
+          or two opposite corners to add furniture. Named furniture and doors are used to
+          describe where people are.
+        </Text>
+        {elements.length === 0 ? (
+          <Text style={styles.emptyText}>Nothing drawn yet</Text>
+        ) : (
+          elements.map(element => (
+            <View key={element.id} style={styles.elementRow}>
+              <Text style={styles.elementType}>{elementTypeLabel(element.type)}</Text>
+              {element.type === 'wall' ? (
+                <View style={styles.elementSpacer} />
+              ) : (
+                <TextInput
+                  style={[styles.input, styles.elementInput]}
+                  defaultValue={element.label}
+                  onEndEditing={(event) => handleRenameElement(element, event.nativeEvent.text)}
+                  placeholder="Name, e.g. Wardrobe"
+                />
+              )}
+              <TouchableOpacity onPress={() => handleDeleteElement(element)}>
+                <Text style={[styles.linkText, styles.deleteText]}>Delete</Text>
+              </TouchableOpacity>
+            </View>
+          ))
+        )}
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+    padding: 20,
+  },
+  section: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  helpText: {
+    fontSize: 13,
+    color: '#8e8e93',
+    marginBottom: 12,
+  },
+  preview: {
+    width: '100%',
+    maxHeight: 240,
+    borderRadius: 8,
+    backgroundColor: '#f8f8f8',
+  },
+  imageInfo: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  infoText: {
+    fontSize: 12,
+    color: '#666',
+  },
+  settingRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  settingLabel: {
+    fontSize: 16,
+    color: '#444',
+    flex: 1,
+  },
+  input: {
+    backgroundColor: '#f8f8f8',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    width: 120,
+    fontSize: 16,
+  },
+  button: {
+    padding: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#5856D6',
+    marginTop: 16,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  linkText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#5856D6',
+  },
+  deleteText: {
+    color: '#ff3b30',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#8e8e93',
+    paddingVertical: 8,
+  },
+  elementRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  elementType: {
+    width: 80,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  elementInput: {
+    flex: 1,
+    width: undefined,
+    marginRight: 12,
+    padding: 6,
+    fontSize: 14,
+  },
+  elementSpacer: {
+    flex: 1,
+  },
+});
+
+export default FloorPlanEditor;
@@ -0,0 +1,88 @@
+import React from 'react';
+import { G, Line, Polygon, Image as SvgImage, Text as SvgText } from 'react-native-svg';
+import { elementOutline, planToRoom } from '../utils/floorPlanGeometry';
+
+const IMAGE_OPACITY = 0.45; // Faded so the grid, zones and targets stay readable
+
+const ELEMENT_STYLES = {
+  wall: { stroke: '#48484a', strokeWidth: 4 },
+  door: { stroke: '#c8a165', strokeWidth: 4, strokeDasharray: '6,3' },
+  furniture: { stroke: '#8e8e93', strokeWidth: 1.5, fill: 'rgba(142, 142, 147, 0.15)' }
+};
+
+const FloorPlanLayer = React.memo(({ floorPlan, view }) => {
+  const { image, calibration, elements } = floorPlan;
+  if (!image && elements.length === 0) return null;
+
+  const toSvg = (point) => {
+    const roomPoint = planToRoom(point, calibration);
+    return { x: view.toSvgX(roomPoint.x), y: view.toSvgY(roomPoint.y) };
+  };
+
+  const imageWidth = calibration.imageWidth * view.pxPerMetre;
+  const origin = toSvg({ x: 0, y: 0 });
+
+  return (
+    <G>
+      {/* Image with its top-left corner at the plan origin */}
+      {image && (
+        <G transform={`translate(${origin.x} ${origin.y}) rotate(${calibration.rotation})`}>
+          <SvgImage
+            x={0}
+            y={0}
+            width={imageWidth}
+            height={imageWidth * (image.height / image.width)}
+            href={{ uri: image.uri }}
+            preserveAspectRatio="none"
+            opacity={IMAGE_OPACITY}
+          />
+        </G>
+      )}
+
+      {elements.map(element => {
+        const outline = elementOutline(element).map(toSvg);
+        const elementStyle = ELEMENT_STYLES[element.type];
+
+        if (element.type !== 'furniture') {
+          return (
+            <Line
+              key={element.id}
+              x1={outline[0].x}
+              y1={outline[0].y}
+              x2={outline[1].x}
+              y2={outline[1].y}
+              strokeLinecap="round"
+              {...elementStyle}
+            />
+          );
+        }
+
+        const centre = toSvg({
+          x: (element.points[0].x + element.points[1].x) / 2,
+          y: (element.points[0].y + element.points[1].y) / 2
+        });
+        return (
+          <G key={element.id}>
+            <Polygon
+              points={outline.map(point => `${point.x},${point.y}`).join(' ')}
+              {...elementStyle}
+            />
+            {!!element.label && (
+              <SvgText
+                x={centre.x}
+                y={centre.y + 3}
+                fill="#636366"
+                fontSize="9"
+                textAnchor="middle"
+              >
+                {element.label}
+              </SvgText>
+            )}
+          </G>
+        );
+      })}
+    </G>
+  );
+});
+
+export default FloorPlanLayer;
@@ -0,0 +1,41 @@
+import React, { useState, useEffect } from 'react';
+import { G, Rect } from 'react-native-svg';
+
+const REFRESH_INTERVAL = 5000; // The heatmap changes slowly, so redraw it every few seconds
+
+// Colour for a cell, from faint yellow for brief visits to strong red for the busiest cell
+const cellColor = (intensity) =>
+  `rgba(255, ${Math.round(200 * (1 - intensity))}, 0, ${(0.15 + 0.55 * intensity).toFixed(2)})`;
+
+const HeatmapLayer = React.memo(({ heatmap, windowId, view }) => {
+  const [grid, setGrid] = useState(() => heatmap.getGrid(windowId));
+
+  useEffect(() => {
+    setGrid(heatmap.getGrid(windowId));
+    const refreshTimer = setInterval(() => {
+      setGrid(heatmap.getGrid(windowId));
+    }, REFRESH_INTERVAL);
+    return () => clearInterval(refreshTimer);
+  }, [heatmap, windowId]);
+
+  if (grid.max === 0) return null;
+
+  const size = grid.cellSize * view.pxPerMetre;
+  return (
+    <G>
+      {grid.cells.map(cell => (
+        <Rect
+          key={`heat-${cell.x}-${cell.y}`}
+          x={view.toSvgX(cell.x)}
+          y={view.toSvgY(cell.y)}
+          width={size}
+          height={size}
+          // Square root so rarely visited cells stay visible next to busy ones
+          fill={cellColor(Math.sqrt(cell.seconds / grid.max))}
+        />
+      ))}
+    </G>
+  );
+});
+
+export default HeatmapLayer;
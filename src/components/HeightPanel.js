@@ -0,0 +1,133 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Svg, { G, Line, Polyline, Rect, Text as SvgText } from 'react-native-svg';
+import { HEIGHT_HISTORY_DURATION, POSTURE_THRESHOLDS } from '../utils/constants';
+import { POSTURES } from '../hooks/useTargetHeights';
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 120;
+const LABEL_WIDTH = 48; // Room on the right for the posture labels
+const MAX_HEIGHT = 2.2; // Metres shown at the top of the chart
+
+const BANDS = [
+  { id: 'standing', from: POSTURE_THRESHOLDS.sitting, to: MAX_HEIGHT, fill: 'rgba(52, 199, 89, 0.08)' },
+  { id: 'sitting', from: POSTURE_THRESHOLDS.lying, to: POSTURE_THRESHOLDS.sitting, fill: 'rgba(255, 149, 0, 0.08)' },
+  { id: 'lying', from: 0, to: POSTURE_THRESHOLDS.lying, fill: 'rgba(255, 59, 48, 0.1)' }
+];
+
+const plotWidth = CHART_WIDTH - LABEL_WIDTH;
+const toChartY = (height) => CHART_HEIGHT - (Math.min(Math.max(height, 0), MAX_HEIGHT) / MAX_HEIGHT) * CHART_HEIGHT;
+
+// Side view of each live target's height over the last few seconds, over the
+// lying, sitting and standing bands. The latest fall is marked if it is recent.
+const HeightPanel = ({ heights, lastFall, duration = HEIGHT_HISTORY_DURATION }) => {
+  const now = Date.now();
+  const toChartX = (time) => plotWidth - ((now - time) / duration) * plotWidth;
+  const showFall = lastFall && now - lastFall.time <= duration;
+
+  return (
+    <View>
+      <Svg width="100%" height={CHART_HEIGHT} viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}>
+        {BANDS.map(band => (
+          <G key={band.id}>
+            <Rect
+              x={0}
+              y={toChartY(band.to)}
+              width={plotWidth}
+              height={toChartY(band.from) - toChartY(band.to)}
+              fill={band.fill}
+            />
+            <SvgText
+              x={plotWidth + 6}
+              y={(toChartY(band.from) + toChartY(band.to)) / 2 + 4}
+              fill="#8e8e93"
+              fontSize="10"
+            >
+              {POSTURES[band.id]}
+            </SvgText>
+          </G>
+        ))}
+
+        {/* Thresholds between postures */}
+        {[POSTURE_THRESHOLDS.lying, POSTURE_THRESHOLDS.sitting].map(threshold => (
+          <Line
+            key={`threshold-${threshold}`}
+            x1={0}
+            y1={toChartY(threshold)}
+            x2={plotWidth}
+            y2={toChartY(threshold)}
+            stroke="#c7c7cc"
+            strokeWidth="1"
+            strokeDasharray="4,4"
+          />
+        ))}
+
+        {showFall && (
+          <G>
+            <Line
+              x1={toChartX(lastFall.time)}
+              y1={0}
+              x2={toChartX(lastFall.time)}
+              y2={CHART_HEIGHT}
+              stroke="#ff3b30"
+              strokeWidth="1.5"
+            />
+            <SvgText x={toChartX(lastFall.time) + 3} y={10} fill="#ff3b30" fontSize="9" fontWeight="bold">
+              Fall
+            </SvgText>
+          </G>
+        )}
+
+        {heights.map(target => (
+          <Polyline
+            key={`height-${target.id}`}
+            points={target.samples.map(sample => `${toChartX(sample.time)},${toChartY(sample.z)}`).join(' ')}
+            stroke={target.color}
+            strokeWidth="2"
+            strokeLinejoin="round"
+            fill="none"
+          />
+        ))}
+      </Svg>
+
+      {heights.length === 0 ? (
+        <Text style={styles.emptyText}>No targets with height data</Text>
+      ) : (
+        heights.map(target => (
+          <View key={`height-row-${target.id}`} style={styles.targetRow}>
+            <View style={[styles.colorDot, { backgroundColor: target.color }]} />
+            <Text style={styles.targetText}>
+              ID {target.id}: {POSTURES[target.posture]} ({target.current.toFixed(2)} m)
+            </Text>
+          </View>
+        ))
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  emptyText: {
+    fontSize: 13,
+    color: '#8e8e93',
+    textAlign: 'center',
+    paddingVertical: 8,
+  },
+  targetRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  colorDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 8,
+  },
+  targetText: {
+    fontSize: 13,
+    color: '#333',
+  },
+});
+
+export default HeightPanel;
@@ -1,94 +1,639 @@
-import React, { useState, useMemo, useRef, useCallback } from 'react';
-import { View, Text, TouchableOpacity, Animated, TextInput, Alert, StyleSheet, KeyboardAvoidingView, Platform } from 'react-native';
-import Svg, { Circle, Rect, Line, G, Text as SvgText, Polygon, Polyline, Path } from 'react-native-svg';
+import React, { useState, useMemo, useRef, useCallback, useEffect } from 'react';
+import { View, Text, TouchableOpacity, Animated, TextInput, Alert, KeyboardAvoidingView, Platform } from 'react-native';
+import Svg, { Circle, Line, G, Text as SvgText, Polygon, Polyline, Path, SvgXml } from 'react-native-svg';
+import { Gesture, GestureDetector } from 'react-native-gesture-handler';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { captureRef } from 'react-native-view-shot';
 import { styles } from '../styles/styles';
-import { RADAR_CONFIG } from '../utils/constants';
-
-const RadarVisualization = React.memo(({ targets, socket, onZoneCreated, zones, isTargetInZone }) => {
-  const { width: svgWidth, height: svgHeight, scale, gridSize, targetWidth, targetHeight } = RADAR_CONFIG;
-  const sensorX = svgWidth / 2;
-  const sensorY = 15;
-
-  // Zone state
-  const [isCreatingZone, setIsCreatingZone] = useState(false);
-  const [zonePoints, setZonePoints] = useState([]);
-  const [isWaitingForName, setIsWaitingForName] = useState(false);
-  const [tempZonePoints, setTempZonePoints] = useState([]);
+import { RADAR_CONFIG, SMOOTHING_LEVELS, TRAIL_DURATIONS, ZONE_SNAP_STEP } from '../utils/constants';
+import { useTargetTrails } from '../hooks/useTargetTrails';
+import { DrawingMode, useZoneDrawing } from '../hooks/useZoneDrawing';
+import TargetLayer from './TargetLayer';
+import HeatmapLayer from './HeatmapLayer';
+import FloorPlanLayer from './FloorPlanLayer';
+import TargetDetailCard from './TargetDetailCard';
+import { HEATMAP_WINDOWS } from '../services/OccupancyHeatmap';
+import {
+  DEFAULT_VIEW,
+  centreOn,
+  createRadarView,
+  fitView,
+  layoutToSvg,
+  pickGridStep,
+  zoomView
+} from '../utils/radarView';
+import { coverageArcPath, coverageRadius, isInCoverage, polarToPoint } from '../utils/coverage';
+import { DEFAULT_SENSOR_SETTINGS } from '../services/sensorSettings';
+import { DEFAULT_FLOOR_PLAN, FLOOR_PLAN_ELEMENTS, createElementId } from '../services/floorPlan';
+import { describeLocation, elementOutline, planToRoom, roomToPlan } from '../utils/floorPlanGeometry';
+import { SNAPSHOT_SIZE, buildSnapshotSvg } from '../utils/radarSnapshot';
+import { ZONE_TOOLS, describeZoneShape, snapPoint, zoneOutline } from '../utils/zoneShapes';
+import { convexHull, reorderPoints, validateZone } from '../utils/zoneGeometry';
+
+const ANGLE_TICK_STEP = 30; // Degrees between angle ticks
+const TARGET_HIT_RADIUS = 20; // How close a tap must be to a target to select it, in canvas units
+const SNAPSHOT_PNG_SCALE = 3; // PNG snapshots are rendered at this multiple of the canvas size
+const HANDLE_HIT_RADIUS = 16; // How close a touch must be to a zone edit handle to grab it, in canvas units
+const MIN_ZONE_POINTS = 3;
+
+// Middle of each edge of a polygon, where a vertex can be inserted; edge i runs
+// from point i to the next one
+const edgeMidpoints = (points) => points.map((point, index) => {
+  const next = points[(index + 1) % points.length];
+  return { x: (point.x + next.x) / 2, y: (point.y + next.y) / 2 };
+});
+
+const RadarVisualization = React.memo(({ targets, targetPositions, onZoneCreated, onZoneUpdated, zones, isTargetInZone, smoothingLevel = 'off', onSmoothingChange, sensorSettings = DEFAULT_SENSOR_SETTINGS, heatmap, floorPlan = DEFAULT_FLOOR_PLAN, onFloorPlanChange }) => {
+  const { width: svgWidth, height: svgHeight } = RADAR_CONFIG;
+
+  // Zoom and pan of the canvas, changed by pinch and drag gestures
+  const [viewState, setViewState] = useState(DEFAULT_VIEW);
+  const viewStateRef = useRef(DEFAULT_VIEW);
+  const layoutRef = useRef({ width: svgWidth, height: svgHeight });
+  const view = useMemo(() => createRadarView(viewState), [viewState]);
+
+  const updateView = useCallback((next) => {
+    viewStateRef.current = next;
+    setViewState(next);
+  }, []);
+
+  // Target whose details are shown, and whether the view follows it. The last
+  // frame it was seen in is kept so the card stays up if the sensor loses it.
+  const [selectedTargetId, setSelectedTargetId] = useState(null);
+  const [isFollowing, setIsFollowing] = useState(false);
+  const isFollowingRef = useRef(false);
+  isFollowingRef.current = isFollowing;
+  const lastSelectedRef = useRef(null);
+  const liveSelectedTarget = selectedTargetId === null
+    ? null
+    : targets.find(target => target.id === selectedTargetId);
+  if (liveSelectedTarget) {
+    lastSelectedRef.current = liveSelectedTarget;
+  }
+  const selectedTarget = selectedTargetId === null ? null : liveSelectedTarget || lastSelectedRef.current;
+
+  // Keep a followed target in the middle of the canvas
+  useEffect(() => {
+    if (isFollowing && liveSelectedTarget) {
+      updateView(centreOn(viewStateRef.current, liveSelectedTarget));
+    }
+  }, [isFollowing, liveSelectedTarget, updateView]);
+
+  const handleCloseTargetCard = () => {
+    setSelectedTargetId(null);
+    setIsFollowing(false);
+  };
+
+  // Zone being drawn, and whether its points snap to the grid
+  const drawing = useZoneDrawing();
+  const isDrawingZone = drawing.mode === DrawingMode.DRAWING;
+  const drawingTool = ZONE_TOOLS.find(option => option.id === drawing.tool);
+  const [snapToGrid, setSnapToGrid] = useState(false);
   const [zoneName, setZoneName] = useState('');
 
-  // Animation value for button
-  const buttonScale = useRef(new Animated.Value(1)).current;
-  const buttonOpacity = useRef(new Animated.Value(1)).current;
-
-  // Handle zone point creation
-  const handleRadarPress = (event) => {
-    if (!isCreatingZone) return;
-
-    const { locationX, locationY } = event.nativeEvent;
-    
-    // Calculate the point relative to the radar's coordinate system
-    const radarX = locationX - (svgWidth / 2);
-    const radarY = locationY - sensorY;
-    
-    // Convert to radar grid coordinates
-    const newPoint = {
-      x: radarX / scale,
-      y: radarY / scale
+  const placePoint = (point) => (snapToGrid ? snapPoint(point, ZONE_SNAP_STEP) : point);
+
+  // Zone being edited, as a draft that is only sent on save, and the vertex
+  // selected for deletion. A long press on a zone starts editing it.
+  const [editingZone, setEditingZone] = useState(null);
+  const [selectedVertex, setSelectedVertex] = useState(null);
+  const [isRenamingZone, setIsRenamingZone] = useState(false);
+  // What the current drag moves or draws, see handleDragBegin; null when it pans the view
+  const dragRef = useRef(null);
+
+  const endZoneEdit = () => {
+    setEditingZone(null);
+    setSelectedVertex(null);
+    setIsRenamingZone(false);
+  };
+
+  // Stop editing a zone that has been deleted in the meantime
+  useEffect(() => {
+    if (editingZone && !zones.some(zone => zone.id === editingZone.id)) {
+      setEditingZone(null);
+      setSelectedVertex(null);
+      setIsRenamingZone(false);
+    }
+  }, [zones, editingZone]);
+
+  // Zones are read-only while the screen withdraws the callbacks, e.g. during a replay
+  useEffect(() => {
+    if (!onZoneCreated) {
+      drawing.cancel();
+    }
+  }, [onZoneCreated, drawing.cancel]);
+
+  useEffect(() => {
+    if (!onZoneUpdated) {
+      setEditingZone(null);
+      setSelectedVertex(null);
+      setIsRenamingZone(false);
+    }
+  }, [onZoneUpdated]);
+
+  // Floor plan drawing tool, or null when taps place zone points. Each element
+  // takes two taps; planStart holds the first one in radar coordinates.
+  const [planTool, setPlanTool] = useState(null);
+  const [planStart, setPlanStart] = useState(null);
+  const planToolOption = FLOOR_PLAN_ELEMENTS.find(option => option.id === planTool);
+
+  const handlePlanToolPress = () => {
+    const index = FLOOR_PLAN_ELEMENTS.findIndex(option => option.id === planTool);
+    const next = FLOOR_PLAN_ELEMENTS[index + 1];
+    setPlanTool(next ? next.id : null);
+    setPlanStart(null);
+    if (next) {
+      drawing.cancel();
+      endZoneEdit();
+    }
+  };
+
+  const handlePlanPress = (point) => {
+    if (!planStart) {
+      setPlanStart(point);
+      return;
+    }
+
+    const count = floorPlan.elements.filter(element => element.type === planTool).length;
+    const element = {
+      id: createElementId(),
+      type: planTool,
+      // Walls are never named; doors and furniture get a name to edit later
+      label: planTool === 'wall' ? '' : `${planToolOption.label} ${count + 1}`,
+      points: [planStart, point].map(corner => roomToPlan(corner, floorPlan.calibration))
     };
+    onFloorPlanChange({ ...floorPlan, elements: [...floorPlan.elements, element] });
+    setPlanStart(null);
+  };
+
+  // Motion trails, cycled through TRAIL_DURATIONS by the trail button
+  const [trailIndex, setTrailIndex] = useState(0);
+  const trailDuration = TRAIL_DURATIONS[trailIndex];
+  const trails = useTargetTrails(targets, trailDuration);
+
+  // Occupancy heatmap window, or null when the heatmap is hidden
+  const [heatmapWindowId, setHeatmapWindowId] = useState(null);
+  const [heatmapVersion, setHeatmapVersion] = useState(0);
+  const heatmapWindow = HEATMAP_WINDOWS.find(option => option.id === heatmapWindowId);
+
+  const handleHeatmapPress = () => {
+    const index = HEATMAP_WINDOWS.findIndex(option => option.id === heatmapWindowId);
+    const next = HEATMAP_WINDOWS[index + 1];
+    setHeatmapWindowId(next ? next.id : null);
+  };
+
+  const handleHeatmapReset = () => {
+    Alert.alert(
+      "Reset Heatmap",
+      "This clears all recorded occupancy, including older windows.",
+      [
+        {
+          text: "Cancel",
+          style: "cancel"
+        },
+        {
+          text: "Reset",
+          style: "destructive",
+          onPress: () => {
+            heatmap.reset();
+            setHeatmapVersion(prev => prev + 1);
+          }
+        }
+      ]
+    );
+  };
+
+  const handleHeatmapExport = async () => {
+    if (!(await Sharing.isAvailableAsync())) {
+      Alert.alert(
+        "Sharing Unavailable",
+        "Sharing files is not supported on this device.",
+        [{ text: "OK" }]
+      );
+      return;
+    }
+
+    try {
+      const uri = `${FileSystem.cacheDirectory}heatmap-${heatmapWindowId}-${new Date().toISOString().slice(0, 10)}.csv`;
+      await FileSystem.writeAsStringAsync(uri, heatmap.exportCsv(heatmapWindowId));
+      await Sharing.shareAsync(uri, { mimeType: 'text/csv', dialogTitle: 'Occupancy heatmap' });
+    } catch (error) {
+      console.error('Error exporting heatmap:', error);
+      Alert.alert(
+        "Export Failed",
+        `The heatmap could not be exported: ${error.message}`,
+        [{ text: "OK" }]
+      );
+    }
+  };
+
+  // Snapshot markup being rendered off screen so it can be captured as a PNG
+  const [pngSnapshot, setPngSnapshot] = useState(null);
+  const snapshotRef = useRef(null);
+
+  const shareSnapshotFile = async (uri, mimeType) => {
+    await Sharing.shareAsync(uri, { mimeType, dialogTitle: 'Radar snapshot' });
+  };
+
+  const handleSnapshotError = (error) => {
+    console.error('Error exporting snapshot:', error);
+    Alert.alert(
+      "Export Failed",
+      `The snapshot could not be exported: ${error.message}`,
+      [{ text: "OK" }]
+    );
+  };
+
+  const exportSnapshot = async (format) => {
+    if (!(await Sharing.isAvailableAsync())) {
+      Alert.alert(
+        "Sharing Unavailable",
+        "Sharing files is not supported on this device.",
+        [{ text: "OK" }]
+      );
+      return;
+    }
+
+    // The view as shown now, with trails only if they are switched on
+    const svg = buildSnapshotSvg({
+      view,
+      sensorSettings,
+      zones,
+      activeZoneIds: new Set(activeZoneKey.split(',')),
+      targets,
+      trails: trailDuration > 0 ? trails : []
+    });
+
+    if (format === 'png') {
+      setPngSnapshot(svg);
+      return;
+    }
+
+    try {
+      const uri = `${FileSystem.cacheDirectory}radar-snapshot-${Date.now()}.svg`;
+      await FileSystem.writeAsStringAsync(uri, svg);
+      await shareSnapshotFile(uri, 'image/svg+xml');
+    } catch (error) {
+      handleSnapshotError(error);
+    }
+  };
+
+  // Capture the off-screen snapshot once it has been laid out and drawn
+  const handleSnapshotLayout = () => {
+    requestAnimationFrame(async () => {
+      try {
+        const uri = await captureRef(snapshotRef, { format: 'png', result: 'tmpfile' });
+        await shareSnapshotFile(uri, 'image/png');
+      } catch (error) {
+        handleSnapshotError(error);
+      } finally {
+        setPngSnapshot(null);
+      }
+    });
+  };
 
-    // Only add point if it's within the radar's valid range
-    const maxRange = gridSize / 2;
-    if (Math.abs(newPoint.x) <= maxRange && Math.abs(newPoint.y) <= maxRange) {
-      setZonePoints(prev => [...prev, newPoint]);
-      setTempZonePoints(prev => [...prev, newPoint]);
+  const handleSnapshotPress = () => {
+    Alert.alert(
+      "Export Snapshot",
+      "Save the current radar view with a legend and timestamp.",
+      [
+        {
+          text: "SVG",
+          onPress: () => exportSnapshot('svg')
+        },
+        {
+          text: "PNG",
+          onPress: () => exportSnapshot('png')
+        },
+        {
+          text: "Cancel",
+          style: "cancel"
+        }
+      ]
+    );
+  };
+
+  const smoothing = SMOOTHING_LEVELS.find(level => level.id === smoothingLevel) || SMOOTHING_LEVELS[0];
+  const handleSmoothingPress = () => {
+    const index = SMOOTHING_LEVELS.indexOf(smoothing);
+    onSmoothingChange(SMOOTHING_LEVELS[(index + 1) % SMOOTHING_LEVELS.length].id);
+  };
+
+  // Frame every target and zone, the floor plan and the sensor
+  const handleFitPress = () => {
+    setIsFollowing(false);
+    const points = [
+      { x: sensorSettings.positionX, y: sensorSettings.positionY },
+      ...targets,
+      ...zones.flatMap(zone => zone.points),
+      ...floorPlan.elements.flatMap(element =>
+        elementOutline(element).map(point => planToRoom(point, floorPlan.calibration))
+      )
+    ];
+    updateView(fitView(points));
+  };
+
+  // Handle zone point creation; x and y are in canvas units
+  const handleRadarPress = (x, y) => {
+    // Convert to radar coordinates through the current zoom and pan
+    const newPoint = view.toWorld(x, y);
+
+    if (editingZone) {
+      handleZoneEditPress(x, y);
+      return;
+    }
+    if (planTool) {
+      handlePlanPress(newPoint);
+      return;
+    }
+    if (!isDrawingZone) {
+      handleTargetPress(x, y);
+      return;
+    }
+    // Rectangles and circles are dragged out instead
+    if (drawing.tool !== 'polygon') return;
+
+    // Only add point if the sensor can actually see it
+    const placed = placePoint(newPoint);
+    if (isInCoverage(placed, sensorSettings)) {
+      drawing.addPoint(placed);
     } else {
       Alert.alert(
         "Invalid Point",
-        "Please place points within the radar's range.",
+        "Please place points inside the sensor's coverage area.",
         [{ text: "OK" }]
       );
     }
   };
 
-  // Complete zone creation and send to server
-  const handleZoneButtonPress = () => {
-    if (!isCreatingZone) {
-      // Start zone creation
-      setIsCreatingZone(true);
-      setZonePoints([]);
-      setTempZonePoints([]);
-    } else {
-      // Complete zone creation and ask for name
-      if (zonePoints.length >= 3) {
-        setIsWaitingForName(true);
-        setIsCreatingZone(false);
-      } else {
-        Alert.alert(
-          "Invalid Zone",
-          "A zone must have at least 3 points to be valid.",
-          [{ text: "OK" }]
-        );
+  // Select the target closest to a tap, if any is close enough
+  const handleTargetPress = (x, y) => {
+    let closest = null;
+    targets.forEach(target => {
+      const distance = Math.hypot(view.toSvgX(target.x) - x, view.toSvgY(target.y) - y);
+      if (distance <= TARGET_HIT_RADIUS && (!closest || distance < closest.distance)) {
+        closest = { target, distance };
       }
+    });
+    if (!closest) return;
+
+    if (closest.target.id !== selectedTargetId) {
+      setIsFollowing(false);
     }
+    setSelectedTargetId(closest.target.id);
   };
 
-  const handleNameSubmit = (name) => {
+  // Index of the edited zone's vertex or edge midpoint within reach of a canvas point, or -1
+  const findHandleAt = (handles, x, y) => handles.findIndex(point =>
+    Math.hypot(view.toSvgX(point.x) - x, view.toSvgY(point.y) - y) <= HANDLE_HIT_RADIUS
+  );
+
+  // Long press a zone to edit it; the last zone drawn is the one on top
+  const handleRadarLongPress = (x, y) => {
+    if (!onZoneUpdated || editingZone || drawing.mode !== DrawingMode.IDLE || planTool) return;
+
+    const point = view.toWorld(x, y);
+    const zone = [...zones].reverse().find(candidate => isTargetInZone(point, candidate));
+    if (!zone) return;
+
+    handleCloseTargetCard();
+    setEditingZone({ ...zone, points: zone.points.map(vertex => ({ ...vertex })) });
+    setSelectedVertex(null);
+  };
+
+  // While editing, tap a vertex to select it for deletion, or the handle in
+  // the middle of an edge to insert a vertex there
+  const handleZoneEditPress = (x, y) => {
+    const vertex = findHandleAt(editingZone.points, x, y);
+    if (vertex !== -1) {
+      setSelectedVertex(vertex === selectedVertex ? null : vertex);
+      return;
+    }
+
+    const midpoints = edgeMidpoints(editingZone.points);
+    const edge = findHandleAt(midpoints, x, y);
+    if (edge !== -1) {
+      setEditingZone(prev => ({
+        ...prev,
+        points: [...prev.points.slice(0, edge + 1), midpoints[edge], ...prev.points.slice(edge + 1)]
+      }));
+      setSelectedVertex(edge + 1);
+      return;
+    }
+
+    setSelectedVertex(null);
+  };
+
+  // While editing, a drag grabs a vertex or, if it starts inside the zone, the
+  // whole zone. With the rectangle or circle tool it draws the shape from where
+  // it starts. Anything else pans the view.
+  const handleDragBegin = (x, y) => {
+    if (editingZone) {
+      const vertex = findHandleAt(editingZone.points, x, y);
+      if (vertex !== -1) return { type: 'vertex', index: vertex };
+      return isTargetInZone(view.toWorld(x, y), editingZone) ? { type: 'zone' } : null;
+    }
+    if (isDrawingZone && drawing.tool !== 'polygon') {
+      return { type: 'shape', start: placePoint(view.toWorld(x, y)) };
+    }
+    return null;
+  };
+
+  // x and y are where the drag is now, dx and dy how far it moved; all in canvas units
+  const handleDrag = (drag, x, y, dx, dy) => {
+    if (drag.type === 'shape') {
+      // Kept on the drag so the end of the drag checks the very points it commits
+      drag.end = placePoint(view.toWorld(x, y));
+      drawing.previewShape([drag.start, drag.end]);
+      return;
+    }
+
+    const { pxPerMetre } = createRadarView(viewStateRef.current);
+    setEditingZone(prev => prev && {
+      ...prev,
+      points: prev.points.map((point, index) => (
+        drag.type === 'zone' || drag.index === index
+          ? { x: point.x + dx / pxPerMetre, y: point.y + dy / pxPerMetre }
+          : point
+      ))
+    });
+  };
+
+  const handleDragEnd = (drag) => {
+    if (!drag || drag.type !== 'shape') return;
+    if (!drag.end) {
+      drawing.previewShape(null);
+      return;
+    }
+
+    // Like placed points, every corner of the shape has to be seen by the sensor
+    const points = [drag.start, drag.end];
+    if (zoneOutline(drawing.tool, points).some(point => !isInCoverage(point, sensorSettings))) {
+      drawing.previewShape(null);
+      Alert.alert(
+        "Invalid Shape",
+        "Please keep the whole shape inside the sensor's coverage area.",
+        [{ text: "OK" }]
+      );
+      return;
+    }
+    drawing.commitShape(points);
+  };
+
+  const handleDeleteVertex = () => {
+    if (editingZone.points.length <= MIN_ZONE_POINTS) {
+      Alert.alert(
+        "Invalid Zone",
+        "A zone must have at least 3 points to be valid.",
+        [{ text: "OK" }]
+      );
+      return;
+    }
+
+    setEditingZone(prev => ({
+      ...prev,
+      points: prev.points.filter((point, index) => index !== selectedVertex)
+    }));
+    setSelectedVertex(null);
+  };
+
+  const handleRenamePress = () => {
+    setZoneName(editingZone.name);
+    setIsRenamingZone(true);
+  };
+
+  // Send the edited zone under its old id, so its logs stay with it
+  const handleZoneEditSave = () => {
+    const save = () => {
+      const original = zones.find(zone => zone.id === editingZone.id);
+      if (JSON.stringify(original) !== JSON.stringify(editingZone)) {
+        onZoneUpdated(editingZone);
+      }
+      endZoneEdit();
+    };
+    const fix = (points) => {
+      setEditingZone(prev => ({ ...prev, points }));
+      setSelectedVertex(null);
+    };
+
+    checkZoneGeometry(editingZone.points, editingZone.id, save, fix);
+  };
+
+  // Check a zone outline before it is named or saved. Outlines whose edges
+  // cross can be fixed with `onFix`, which gets the new points for the user to
+  // look over; warnings can be accepted, which calls `onValid`.
+  const checkZoneGeometry = (points, zoneId, onValid, onFix) => {
+    const { errors, warnings } = validateZone(points, { zones, zoneId, sensorSettings });
+
+    const [error] = errors;
+    if (error && error.code === 'self_intersecting') {
+      Alert.alert(
+        "Invalid Zone",
+        `${error.message} Reorder the points to keep them all, or use the outline around them.`,
+        [
+          {
+            text: "Keep Editing",
+            style: "cancel"
+          },
+          {
+            text: "Reorder Points",
+            onPress: () => onFix(reorderPoints(points))
+          },
+          {
+            text: "Use Outline",
+            onPress: () => onFix(convexHull(points))
+          }
+        ]
+      );
+      return;
+    }
+    if (error) {
+      Alert.alert(
+        "Invalid Zone",
+        error.message,
+        [{ text: "OK" }]
+      );
+      return;
+    }
+
+    if (warnings.length > 0) {
+      Alert.alert(
+        "Check Zone",
+        warnings.map(warning => warning.message).join('\n\n'),
+        [
+          {
+            text: "Keep Editing",
+            style: "cancel"
+          },
+          {
+            text: "Continue",
+            onPress: onValid
+          }
+        ]
+      );
+      return;
+    }
+
+    onValid();
+  };
+
+  // Start drawing a zone, or finish it and ask for a name
+  const handleZoneButtonPress = () => {
+    if (drawing.mode === DrawingMode.IDLE) {
+      setPlanTool(null);
+      setPlanStart(null);
+      endZoneEdit();
+      handleCloseTargetCard();
+      drawing.start();
+      return;
+    }
+
+    if (!drawing.canFinish) {
+      Alert.alert(
+        "Invalid Zone",
+        drawing.tool === 'polygon'
+          ? "A zone must have at least 3 points to be valid."
+          : `Draw the ${drawingTool.label.toLowerCase()} first: ${drawingTool.hint.toLowerCase()}`,
+        [{ text: "OK" }]
+      );
+      return;
+    }
+    checkZoneGeometry(drawing.outline, null, drawing.finish, drawing.setPoints);
+  };
+
+  // A zone being renamed may keep its own name
+  const isZoneNameValid = (name, zoneId = null) => {
     if (!name.trim()) {
       Alert.alert(
         "Invalid Name",
         "Zone name cannot be empty.",
         [{ text: "OK" }]
       );
-      return;
+      return false;
     }
 
     // Check if name already exists
-    if (zones.some(zone => zone.name.toLowerCase() === name.toLowerCase())) {
+    if (zones.some(zone => zone.id !== zoneId && zone.name.toLowerCase() === name.toLowerCase())) {
       Alert.alert(
         "Name Already Exists",
         "Please choose a different name for this zone.",
         [{ text: "OK" }]
       );
+      return false;
+    }
+
+    return true;
+  };
+
+  const handleNameSubmit = (name) => {
+    if (!isZoneNameValid(name, editingZone ? editingZone.id : null)) return;
+
+    // A new name for the edited zone is sent with the rest of the edit
+    if (editingZone) {
+      setEditingZone(prev => ({ ...prev, name: name.trim() }));
+      setIsRenamingZone(false);
+      setZoneName('');
       return;
     }
 
@@ -96,87 +641,280 @@ const RadarVisualization = React.memo(({ targets, socket, onZoneCreated, zones,
     const zoneData = {
       id: `zone_${Date.now()}`,
       name: name.trim(),
-      points: zonePoints
+      points: drawing.outline
     };
 
     onZoneCreated(zoneData);
-    setIsWaitingForName(false);
-    setZonePoints([]);
-    setTempZonePoints([]);
+    drawing.submitted();
     setZoneName('');
   };
 
   const handleCancel = () => {
-    setIsWaitingForName(false);
-    setZonePoints([]);
-    setTempZonePoints([]);
+    if (editingZone) {
+      setIsRenamingZone(false);
+    } else {
+      drawing.cancel();
+    }
     setZoneName('');
   };
 
-  // Optimize zone checking with useMemo
-  const zoneStates = useMemo(() => {
-    return zones.map(zone => ({
-      id: zone.id,
-      name: zone.name,
-      points: zone.points,
-      isActive: targets.some(target => isTargetInZone(target, zone))
-    }));
-  }, [zones, targets, isTargetInZone]);
-
-  // Handle button press with animation
-  const handleButtonPress = () => {
-    // Scale down animation
-    Animated.sequence([
-      Animated.parallel([
-        Animated.timing(buttonScale, {
-          toValue: 0.9,
-          duration: 100,
-          useNativeDriver: true,
-        }),
-        Animated.timing(buttonOpacity, {
-          toValue: 0.8,
-          duration: 100,
-          useNativeDriver: true,
-        })
-      ]),
-      // Scale up animation
-      Animated.parallel([
-        Animated.spring(buttonScale, {
-          toValue: 1,
-          friction: 3,
-          tension: 40,
-          useNativeDriver: true,
-        }),
-        Animated.timing(buttonOpacity, {
-          toValue: 1,
-          duration: 100,
-          useNativeDriver: true,
-        })
-      ])
-    ]).start();
-
-    if (!isCreatingZone) {
-      // Start zone creation
-      setIsCreatingZone(true);
-      setZonePoints([]);
-      setTempZonePoints([]);
+  // The gestures are built once, so they call the latest handlers through refs
+  const handleRadarPressRef = useRef(handleRadarPress);
+  handleRadarPressRef.current = handleRadarPress;
+  const handleRadarLongPressRef = useRef(handleRadarLongPress);
+  handleRadarLongPressRef.current = handleRadarLongPress;
+  const handleDragBeginRef = useRef(handleDragBegin);
+  handleDragBeginRef.current = handleDragBegin;
+  const handleDragRef = useRef(handleDrag);
+  handleDragRef.current = handleDrag;
+  const handleDragEndRef = useRef(handleDragEnd);
+  handleDragEndRef.current = handleDragEnd;
+
+  // Pinch to zoom around the fingers, drag to pan, tap to place zone points and
+  // long press a zone to edit it. Drags may also move the zone being edited or
+  // draw a shape, see handleDragBegin.
+  // Gesture callbacks get view coordinates, which are converted to canvas units.
+  const gesture = useMemo(() => {
+    const pinch = Gesture.Pinch()
+      .runOnJS(true)
+      .onChange((event) => {
+        const focal = layoutToSvg(layoutRef.current, event.focalX, event.focalY);
+        updateView(zoomView(viewStateRef.current, event.scaleChange, focal.x, focal.y));
+      });
+
+    const pan = Gesture.Pan()
+      .runOnJS(true)
+      .minDistance(10)
+      .onBegin((event) => {
+        const point = layoutToSvg(layoutRef.current, event.x, event.y);
+        dragRef.current = handleDragBeginRef.current(point.x, point.y);
+      })
+      .onStart(() => {
+        // Dragging the view stops it following a target
+        if (isFollowingRef.current) {
+          setIsFollowing(false);
+        }
+      })
+      .onChange((event) => {
+        const { factor } = layoutToSvg(layoutRef.current, 0, 0);
+        if (dragRef.current !== null) {
+          const point = layoutToSvg(layoutRef.current, event.x, event.y);
+          handleDragRef.current(dragRef.current, point.x, point.y, event.changeX / factor, event.changeY / factor);
+          return;
+        }
+        const current = viewStateRef.current;
+        updateView({
+          ...current,
+          panX: current.panX + event.changeX / factor,
+          panY: current.panY + event.changeY / factor
+        });
+      })
+      .onFinalize(() => {
+        handleDragEndRef.current(dragRef.current);
+        dragRef.current = null;
+      });
+
+    const tap = Gesture.Tap()
+      .runOnJS(true)
+      .onEnd((event, success) => {
+        if (!success) return;
+        const point = layoutToSvg(layoutRef.current, event.x, event.y);
+        handleRadarPressRef.current(point.x, point.y);
+      });
+
+    const longPress = Gesture.LongPress()
+      .runOnJS(true)
+      .minDuration(500)
+      .onStart((event) => {
+        const point = layoutToSvg(layoutRef.current, event.x, event.y);
+        handleRadarLongPressRef.current(point.x, point.y);
+      });
+
+    return Gesture.Race(Gesture.Simultaneous(pinch, pan), Gesture.Exclusive(longPress, tap));
+  }, [updateView]);
+
+  // Grid, coverage and sensor only change with the zoom, pan and sensor
+  // settings. Grid and range spacing adapt to the zoom to stay readable.
+  // The grid is in room coordinates; coverage is drawn where the sensor is mounted.
+  const staticLayer = useMemo(() => {
+    const { bounds, toSvgX, toSvgY } = view;
+    const gridStep = pickGridStep(view.pxPerMetre);
+    const rangeStep = gridStep * 2;
+
+    const verticalLines = [];
+    for (let x = Math.ceil(bounds.minX / gridStep) * gridStep; x <= bounds.maxX; x += gridStep) {
+      verticalLines.push(x);
+    }
+    const horizontalLines = [];
+    for (let y = Math.ceil(bounds.minY / gridStep) * gridStep; y <= bounds.maxY; y += gridStep) {
+      horizontalLines.push(y);
+    }
+    const { fieldOfView } = sensorSettings;
+    const isCeiling = sensorSettings.mountType === 'ceiling';
+    const radius = coverageRadius(sensorSettings);
+    const ranges = [];
+    for (let range = rangeStep; range < radius && ranges.length < 12; range += rangeStep) {
+      ranges.push(range);
+    }
+    // A ceiling sensor sees all around, so its ticks only show which way it faces
+    const angles = [];
+    if (isCeiling) {
+      angles.push(-90, 0, 90, 180);
     } else {
-      // Complete zone creation
-      if (zonePoints.length >= 3) {
-        setIsWaitingForName(true);
-        setIsCreatingZone(false);
-      } else {
-        Alert.alert(
-          "Invalid Zone",
-          "A zone must have at least 3 points to be valid.",
-          [{ text: "OK" }]
-        );
+      for (let angle = -Math.floor(fieldOfView / 2 / ANGLE_TICK_STEP) * ANGLE_TICK_STEP; angle <= fieldOfView / 2; angle += ANGLE_TICK_STEP) {
+        angles.push(angle);
       }
     }
-  };
+    const labelBearing = isCeiling ? 135 : fieldOfView / 2;
+    const sensorX = toSvgX(sensorSettings.positionX);
+    const sensorY = toSvgY(sensorSettings.positionY);
+    const formatRange = (range) => `${Number(range.toFixed(2))}m`;
+
+    return (
+      <G>
+        {/* Grid lines */}
+        {verticalLines.map(x => (
+          <Line
+            key={`grid-x-${x}`}
+            x1={toSvgX(x)}
+            y1={0}
+            x2={toSvgX(x)}
+            y2={svgHeight}
+            stroke="#e8e8e8"
+            strokeWidth="1"
+          />
+        ))}
+        {horizontalLines.map(y => (
+          <Line
+            key={`grid-y-${y}`}
+            x1={0}
+            y1={toSvgY(y)}
+            x2={svgWidth}
+            y2={toSvgY(y)}
+            stroke="#e8e8e8"
+            strokeWidth="1"
+          />
+        ))}
+
+        {/* Coverage area */}
+        <Path
+          d={coverageArcPath(view, radius, sensorSettings, true)}
+          fill="rgba(88, 86, 214, 0.04)"
+          stroke="#5856D6"
+          strokeOpacity="0.5"
+          strokeWidth="1"
+        />
+
+        {/* Range arcs */}
+        {ranges.map((range) => (
+          <Path
+            key={`range-${range}`}
+            d={coverageArcPath(view, range, sensorSettings)}
+            fill="none"
+            stroke="#d8d8d8"
+            strokeWidth="1"
+            strokeDasharray="4,4"
+          />
+        ))}
+
+        {/* Range labels, along the right-hand edge of the wedge or diagonally on a ceiling disc */}
+        {[...ranges, radius].map((range) => {
+          const labelPoint = polarToPoint(range, labelBearing, sensorSettings);
+          return (
+            <SvgText
+              key={`label-${range}`}
+              x={toSvgX(labelPoint.x) + 4}
+              y={toSvgY(labelPoint.y) + 4}
+              fill="#8e8e93"
+              fontSize="10"
+            >
+              {formatRange(range)}
+            </SvgText>
+          );
+        })}
+
+        {/* Angle ticks */}
+        {angles.map((angle) => {
+          const tickEnd = polarToPoint(radius, angle, sensorSettings);
+          const labelPoint = polarToPoint(radius + 14 / view.pxPerMetre, angle, sensorSettings);
+          return (
+            <G key={`angle-${angle}`}>
+              <Line
+                x1={sensorX}
+                y1={sensorY}
+                x2={toSvgX(tickEnd.x)}
+                y2={toSvgY(tickEnd.y)}
+                stroke="#e0e0f5"
+                strokeWidth="1"
+              />
+              <SvgText
+                x={toSvgX(labelPoint.x)}
+                y={toSvgY(labelPoint.y) + 3}
+                fill="#8e8e93"
+                fontSize="9"
+                textAnchor="middle"
+              >
+                {angle}°
+              </SvgText>
+            </G>
+          );
+        })}
+
+        {/* Radar sensor point */}
+        <Circle cx={sensorX} cy={sensorY} r={8} fill="#5856D6" />
+        <Circle cx={sensorX} cy={sensorY} r={12} fill="transparent" stroke="#5856D6" strokeWidth="2" opacity="0.6" />
+      </G>
+    );
+  }, [view, svgWidth, svgHeight, sensorSettings]);
+
+  // Ids of zones with a target inside, as a string so it only changes when a
+  // zone's state does rather than on every frame
+  const activeZoneKey = useMemo(() => (
+    zones
+      .filter(zone => targets.some(target => isTargetInZone(target, zone)))
+      .map(zone => zone.id)
+      .join(',')
+  ), [zones, targets, isTargetInZone]);
+
+  // Zones are only redrawn when they change, a target enters or leaves one, or
+  // the view moves. The zone being edited is drawn from its draft instead.
+  const editingZoneId = editingZone ? editingZone.id : null;
+  const zoneLayer = useMemo(() => {
+    const activeZoneIds = new Set(activeZoneKey.split(','));
+    return (
+      <G>
+        {zones.filter(zone => zone.id !== editingZoneId).map((zone) => {
+          const isActive = activeZoneIds.has(zone.id);
+          const points = zone.points.map(point =>
+            `${view.toSvgX(point.x)},${view.toSvgY(point.y)}`
+          ).join(' ');
+
+          return (
+            <G key={`zone-${zone.id}`}>
+              <Polygon
+                points={points}
+                fill={isActive ? "rgba(255, 59, 48, 0.1)" : "rgba(52, 199, 89, 0.1)"}
+                stroke={isActive ? "#FF3B30" : "#34C759"}
+                strokeWidth="2"
+              />
+              <SvgText
+                x={view.toSvgX(zone.points[0].x)}
+                y={view.toSvgY(zone.points[0].y) - 10}
+                fill="#000000"
+                fontSize="12"
+                textAnchor="middle"
+              >
+                {zone.name}
+              </SvgText>
+            </G>
+          );
+        })}
+      </G>
+    );
+  }, [zones, activeZoneKey, view, editingZoneId]);
 
   const renderZoneOverlay = () => {
-    if (!isWaitingForName) return null;
+    if (drawing.mode !== DrawingMode.NAMING && !isRenamingZone) return null;
 
     return (
       <>
@@ -186,7 +924,7 @@ const RadarVisualization = React.memo(({ targets, socket, onZoneCreated, zones,
           style={styles.nameInputContainer}
           keyboardVerticalOffset={Platform.OS === "ios" ? 64 : 40}
         >
-          <Text style={styles.nameInputTitle}>Name Your Zone</Text>
+          <Text style={styles.nameInputTitle}>{editingZone ? 'Rename Zone' : 'Name Your Zone'}</Text>
           <TextInput
             style={styles.nameInput}
             placeholder="Enter zone name"
@@ -218,220 +956,326 @@ const RadarVisualization = React.memo(({ targets, socket, onZoneCreated, zones,
   return (
     <View style={{ flex: 1, width: '100%', height: '100%' }}>
       <View style={[styles.radarContent, { padding: 10, paddingTop: 2 }]}>
-        <Svg 
-          width="100%" 
-          height="100%" 
-          viewBox={`0 0 ${svgWidth} ${svgHeight}`}
-          preserveAspectRatio="xMidYMid contain"
-          onPress={handleRadarPress}
-          style={{ overflow: 'hidden' }}
-        >
-          {/* Grid lines */}
-          {Array.from({ length: gridSize + 1 }).map((_, i) => (
-            <G key={`grid-${i}`}>
-              <Line 
-                x1={sensorX - (gridSize/2 * scale) + (i * scale)} 
-                y1={sensorY} 
-                x2={sensorX - (gridSize/2 * scale) + (i * scale)} 
-                y2={svgHeight} 
-                stroke="#e8e8e8" 
-                strokeWidth="1" 
-              />
-              <Line 
-                x1={10} 
-                y1={sensorY + (i * scale)} 
-                x2={svgWidth - 10} 
-                y2={sensorY + (i * scale)} 
-                stroke="#e8e8e8" 
-                strokeWidth="1" 
-              />
-            </G>
-          ))}
-          
-          {/* Radar sensor point */}
-          <Circle cx={sensorX} cy={sensorY} r={8} fill="#5856D6" />
-          <Circle cx={sensorX} cy={sensorY} r={12} fill="transparent" stroke="#5856D6" strokeWidth="2" opacity="0.6" />
-          
-          {/* Range markers */}
-          {[1, 2, 3, 4].map((range) => (
-            <Line
-              key={`range-${range}`}
-              x1={sensorX - (range * scale)}
-              y1={sensorY + (range * scale)}
-              x2={sensorX + (range * scale)}
-              y2={sensorY + (range * scale)}
-              stroke="#f0f0f0"
-              strokeWidth="1"
-              strokeDasharray="4,4"
-            />
-          ))}
-          
-          {/* Range labels */}
-          {[1, 2, 3, 4].map((range) => (
-            <SvgText
-              key={`label-${range}`}
-              x={sensorX + (range * scale) + 5}
-              y={sensorY + (range * scale) + 5}
-              fill="#8e8e93"
-              fontSize="10"
+        <GestureDetector gesture={gesture}>
+          <View
+            style={{ flex: 1 }}
+            onLayout={(event) => {
+              layoutRef.current = event.nativeEvent.layout;
+            }}
+          >
+            <Svg 
+              width="100%" 
+              height="100%" 
+              viewBox={`0 0 ${svgWidth} ${svgHeight}`}
+              preserveAspectRatio="xMidYMid contain"
+              style={{ overflow: 'hidden' }}
             >
-              {range}m
-            </SvgText>
-          ))}
-
-          {/* Draw zones with optimized rendering */}
-          {zoneStates.map((zoneState) => {
-            const points = zoneState.points.map(point => 
-              `${sensorX + point.x * scale},${sensorY + point.y * scale}`
-            ).join(' ');
-            
-            return (
-              <G key={`zone-${zoneState.id}`}>
-                <Polygon
-                  points={points}
-                  fill={zoneState.isActive ? "rgba(255, 59, 48, 0.1)" : "rgba(52, 199, 89, 0.1)"}
-                  stroke={zoneState.isActive ? "#FF3B30" : "#34C759"}
-                  strokeWidth="2"
+              {/* Floor plan, under everything else */}
+              <FloorPlanLayer floorPlan={floorPlan} view={view} />
+
+              {staticLayer}
+
+              {/* Occupancy heatmap */}
+              {heatmap && heatmapWindow && (
+                <HeatmapLayer
+                  key={`heatmap-${heatmapVersion}`}
+                  heatmap={heatmap}
+                  windowId={heatmapWindow.id}
+                  view={view}
                 />
-                <SvgText
-                  x={sensorX + zoneState.points[0].x * scale}
-                  y={sensorY + zoneState.points[0].y * scale - 10}
-                  fill="#000000"
-                  fontSize="12"
-                  textAnchor="middle"
-                >
-                  {zoneState.name}
-                </SvgText>
-              </G>
-            );
-          })}
-
-          {/* Draw current zone being created */}
-          {zonePoints.length > 0 && (
-            <G>
-              <Polyline
-                points={zonePoints.map(point => 
-                  `${sensorX + point.x * scale},${sensorY + point.y * scale}`
-                ).join(' ')}
-                stroke="#34C759"
-                strokeWidth="2"
-                fill="none"
-              />
-              {zonePoints.map((point, index) => (
+              )}
+
+              {/* First point of the floor plan element being drawn */}
+              {planStart && (
                 <Circle
-                  key={`point-${index}`}
-                  cx={sensorX + point.x * scale}
-                  cy={sensorY + point.y * scale}
+                  cx={view.toSvgX(planStart.x)}
+                  cy={view.toSvgY(planStart.y)}
                   r={4}
-                  fill="#34C759"
+                  fill="#48484a"
                 />
-              ))}
-            </G>
-          )}
-          
-          {/* Targets */}
-          {targets.map((target, index) => {
-            const svgX = sensorX + target.x * scale;
-            const svgY = sensorY + target.y * scale;
-            
-            return (
-              <G key={`target-${index}`}>
-                {/* Target pulse effect */}
-                <Circle
-                  cx={svgX}
-                  cy={svgY}
-                  r={targetWidth * 2}
-                  fill="rgba(88, 86, 214, 0.1)"
-                  stroke="rgba(88, 86, 214, 0.3)"
-                  strokeWidth="2"
-                />
-                <Circle
-                  cx={svgX}
-                  cy={svgY}
-                  r={targetWidth * 1.5}
-                  fill="rgba(88, 86, 214, 0.2)"
-                  stroke="rgba(88, 86, 214, 0.4)"
-                  strokeWidth="2"
-                />
-                
-                {/* Target box */}
-                <G>
-                  {/* Background box */}
-                  <Rect
-                    x={svgX - targetWidth / 2}
-                    y={svgY - targetHeight / 2}
-                    width={targetWidth}
-                    height={targetHeight}
-                    fill="#5856D6"
-                    opacity="0.9"
-                    rx="2"
-                    ry="2"
-                  />
-                  {/* Border */}
-                  <Rect
-                    x={svgX - targetWidth / 2}
-                    y={svgY - targetHeight / 2}
-                    width={targetWidth}
-                    height={targetHeight}
-                    fill="none"
-                    stroke="#ffffff"
-                    strokeWidth="1"
-                    opacity="0.5"
-                    rx="2"
-                    ry="2"
-                  />
-                  {/* Highlight */}
-                  <Rect
-                    x={svgX - targetWidth / 2}
-                    y={svgY - targetHeight / 2}
-                    width={targetWidth}
-                    height={targetHeight / 2}
-                    fill="#ffffff"
-                    opacity="0.2"
-                    rx="2"
-                    ry="2"
-                  />
-                </G>
+              )}
+
+              {zoneLayer}
 
-                {/* Target info */}
+              {/* Zone being edited, with handles on its vertices and edge midpoints */}
+              {editingZone && (
                 <G>
+                  <Polygon
+                    points={editingZone.points.map(point =>
+                      `${view.toSvgX(point.x)},${view.toSvgY(point.y)}`
+                    ).join(' ')}
+                    fill="rgba(255, 149, 0, 0.1)"
+                    stroke="#FF9500"
+                    strokeWidth="2"
+                    strokeDasharray="6,4"
+                  />
                   <SvgText
-                    x={svgX}
-                    y={svgY - targetHeight / 2 - 5}
+                    x={view.toSvgX(editingZone.points[0].x)}
+                    y={view.toSvgY(editingZone.points[0].y) - 12}
                     fill="#000000"
-                    fontSize="10"
+                    fontSize="12"
                     textAnchor="middle"
-                    fontWeight="bold"
                   >
-                    ID: {target.id}
-                  </SvgText>
-                  <SvgText
-                    x={svgX}
-                    y={svgY + targetHeight / 2 + 12}
-                    fill="#8e8e93"
-                    fontSize="8"
-                    textAnchor="middle"
-                  >
-                    ({target.x.toFixed(2)}, {target.y.toFixed(2)})
+                    {editingZone.name}
                   </SvgText>
+                  {edgeMidpoints(editingZone.points).map((point, index) => (
+                    <Circle
+                      key={`midpoint-${index}`}
+                      cx={view.toSvgX(point.x)}
+                      cy={view.toSvgY(point.y)}
+                      r={4}
+                      fill="#ffffff"
+                      stroke="#FF9500"
+                      strokeWidth="1.5"
+                    />
+                  ))}
+                  {editingZone.points.map((point, index) => (
+                    <Circle
+                      key={`vertex-${index}`}
+                      cx={view.toSvgX(point.x)}
+                      cy={view.toSvgY(point.y)}
+                      r={index === selectedVertex ? 8 : 6}
+                      fill={index === selectedVertex ? "#FF3B30" : "#FF9500"}
+                      stroke="#ffffff"
+                      strokeWidth="2"
+                    />
+                  ))}
+                </G>
+              )}
+
+              {/* Draw current zone being created */}
+              {drawing.mode !== DrawingMode.IDLE && drawing.shapePoints.length > 0 && (
+                <G>
+                  {drawing.tool === 'polygon' ? (
+                    <Polyline
+                      points={drawing.outline.map(point =>
+                        `${view.toSvgX(point.x)},${view.toSvgY(point.y)}`
+                      ).join(' ')}
+                      stroke="#34C759"
+                      strokeWidth="2"
+                      fill="none"
+                    />
+                  ) : (
+                    <Polygon
+                      points={drawing.outline.map(point =>
+                        `${view.toSvgX(point.x)},${view.toSvgY(point.y)}`
+                      ).join(' ')}
+                      fill="rgba(52, 199, 89, 0.1)"
+                      stroke="#34C759"
+                      strokeWidth="2"
+                    />
+                  )}
+                  {drawing.shapePoints.map((point, index) => (
+                    <Circle
+                      key={`point-${index}`}
+                      cx={view.toSvgX(point.x)}
+                      cy={view.toSvgY(point.y)}
+                      r={4}
+                      fill="#34C759"
+                    />
+                  ))}
+                </G>
+              )}
+          
+              {/* Target trails, fading with age */}
+              {trails.map(trail => (
+                <G key={`trail-${trail.id}`}>
+                  {trail.segments.map((segment, index) => (
+                    <Polyline
+                      key={`trail-${trail.id}-${index}`}
+                      points={segment.points.map(point =>
+                        `${view.toSvgX(point.x)},${view.toSvgY(point.y)}`
+                      ).join(' ')}
+                      stroke={trail.color}
+                      strokeOpacity={segment.opacity * 0.8}
+                      strokeWidth="3"
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                      fill="none"
+                    />
+                  ))}
                 </G>
-              </G>
-            );
-          })}
-        </Svg>
+              ))}
+
+              {/* Targets */}
+              <TargetLayer
+                positions={targetPositions}
+                view={view}
+                floorPlan={floorPlan}
+                selectedId={selectedTargetId}
+              />
+            </Svg>
+          </View>
+        </GestureDetector>
       </View>
 
-      <Animated.View style={[
-        styles.zoneButton,
-        isCreatingZone && styles.zoneButtonActive
-      ]}>
+      {onZoneCreated && (
+        <Animated.View style={[
+          styles.zoneButton,
+          isDrawingZone && styles.zoneButtonActive
+        ]}>
+          <TouchableOpacity
+            onPress={handleZoneButtonPress}
+            style={styles.zoneButtonTouchable}
+          >
+            <Text style={styles.zoneButtonText}>+</Text>
+          </TouchableOpacity>
+        </Animated.View>
+      )}
+      <TouchableOpacity
+        style={[styles.trailButton, trailDuration > 0 && styles.trailButtonActive]}
+        onPress={() => setTrailIndex(prev => (prev + 1) % TRAIL_DURATIONS.length)}
+      >
+        <Text style={[styles.trailButtonText, trailDuration > 0 && styles.trailButtonTextActive]}>
+          Trail: {trailDuration > 0 ? `${trailDuration / 1000}s` : 'Off'}
+        </Text>
+      </TouchableOpacity>
+      {onSmoothingChange && (
         <TouchableOpacity
-          onPress={handleZoneButtonPress}
-          style={styles.zoneButtonTouchable}
+          style={[styles.trailButton, styles.smoothingButton, smoothing.id !== 'off' && styles.trailButtonActive]}
+          onPress={handleSmoothingPress}
         >
-          <Text style={styles.zoneButtonText}>+</Text>
+          <Text style={[styles.trailButtonText, smoothing.id !== 'off' && styles.trailButtonTextActive]}>
+            Smooth: {smoothing.label}
+          </Text>
         </TouchableOpacity>
-      </Animated.View>
+      )}
+      {heatmap && (
+        <View style={styles.heatmapControls}>
+          <TouchableOpacity
+            style={[styles.overlayChip, heatmapWindow && styles.trailButtonActive]}
+            onPress={handleHeatmapPress}
+          >
+            <Text style={[styles.trailButtonText, heatmapWindow && styles.trailButtonTextActive]}>
+              Heatmap: {heatmapWindow ? heatmapWindow.label : 'Off'}
+            </Text>
+          </TouchableOpacity>
+          {heatmapWindow && (
+            <>
+              <TouchableOpacity style={styles.overlayChip} onPress={handleHeatmapExport}>
+                <Text style={styles.trailButtonText}>Export</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.overlayChip} onPress={handleHeatmapReset}>
+                <Text style={styles.trailButtonText}>Reset</Text>
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+      )}
+      {onFloorPlanChange && (
+        <TouchableOpacity
+          style={[styles.trailButton, styles.drawButton, planTool && styles.trailButtonActive]}
+          onPress={handlePlanToolPress}
+        >
+          <Text style={[styles.trailButtonText, planTool && styles.trailButtonTextActive]}>
+            Draw: {planToolOption ? planToolOption.label : 'Off'}
+          </Text>
+        </TouchableOpacity>
+      )}
+      {selectedTarget && (
+        <TargetDetailCard
+          target={selectedTarget}
+          detected={!!liveSelectedTarget}
+          zoneNames={zones.filter(zone => isTargetInZone(selectedTarget, zone)).map(zone => zone.name)}
+          location={describeLocation(selectedTarget, floorPlan)}
+          pinned={isFollowing}
+          onPinToggle={() => setIsFollowing(prev => !prev)}
+          onClose={handleCloseTargetCard}
+        />
+      )}
+      {isDrawingZone && (
+        <View style={styles.zoneToolbar}>
+          <View style={styles.zoneToolbarButtons}>
+            {ZONE_TOOLS.map(option => (
+              <TouchableOpacity
+                key={option.id}
+                style={[styles.overlayChip, drawing.tool === option.id && styles.trailButtonActive]}
+                onPress={() => drawing.setTool(option.id)}
+              >
+                <Text style={[styles.trailButtonText, drawing.tool === option.id && styles.trailButtonTextActive]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <Text style={styles.zoneToolbarReadout}>
+            {describeZoneShape(drawing.tool, drawing.shapePoints) || drawingTool.hint}
+          </Text>
+          <View style={styles.zoneToolbarButtons}>
+            <TouchableOpacity
+              style={[styles.overlayChip, !drawing.canUndo && styles.overlayChipDisabled]}
+              onPress={drawing.undo}
+              disabled={!drawing.canUndo}
+            >
+              <Text style={styles.trailButtonText}>Undo</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.overlayChip, !drawing.canRedo && styles.overlayChipDisabled]}
+              onPress={drawing.redo}
+              disabled={!drawing.canRedo}
+            >
+              <Text style={styles.trailButtonText}>Redo</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.overlayChip, snapToGrid && styles.trailButtonActive]}
+              onPress={() => setSnapToGrid(prev => !prev)}
+            >
+              <Text style={[styles.trailButtonText, snapToGrid && styles.trailButtonTextActive]}>
+                Snap: {snapToGrid ? `${ZONE_SNAP_STEP} m` : 'Off'}
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.overlayChip} onPress={drawing.cancel}>
+              <Text style={styles.trailButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.overlayChip, styles.trailButtonActive]} onPress={handleZoneButtonPress}>
+              <Text style={[styles.trailButtonText, styles.trailButtonTextActive]}>Done</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+      {editingZone && (
+        <View style={styles.zoneToolbar}>
+          <Text style={styles.zoneToolbarTitle} numberOfLines={1}>Editing {editingZone.name}</Text>
+          <Text style={styles.zoneToolbarHint}>
+            Drag a point or the zone to move it. Tap a point to select it, or a small handle to add one.
+          </Text>
+          <View style={styles.zoneToolbarButtons}>
+            {selectedVertex !== null && (
+              <TouchableOpacity style={styles.overlayChip} onPress={handleDeleteVertex}>
+                <Text style={styles.trailButtonText}>Delete Point</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity style={styles.overlayChip} onPress={handleRenamePress}>
+              <Text style={styles.trailButtonText}>Rename</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.overlayChip} onPress={endZoneEdit}>
+              <Text style={styles.trailButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.overlayChip, styles.trailButtonActive]} onPress={handleZoneEditSave}>
+              <Text style={[styles.trailButtonText, styles.trailButtonTextActive]}>Save</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+      <TouchableOpacity style={styles.fitButton} onPress={handleFitPress}>
+        <Text style={styles.trailButtonText}>Fit</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={[styles.fitButton, styles.snapshotButton]} onPress={handleSnapshotPress}>
+        <Text style={styles.trailButtonText}>Export</Text>
+      </TouchableOpacity>
+      {pngSnapshot && (
+        <View
+          ref={snapshotRef}
+          collapsable={false}
+          style={[
+            styles.snapshotCanvas,
+            { width: SNAPSHOT_SIZE.width * SNAPSHOT_PNG_SCALE, height: SNAPSHOT_SIZE.height * SNAPSHOT_PNG_SCALE }
+          ]}
+          onLayout={handleSnapshotLayout}
+        >
+          <SvgXml xml={pngSnapshot} width="100%" height="100%" />
+        </View>
+      )}
       {renderZoneOverlay()}
     </View>
   );
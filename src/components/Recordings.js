@@ -0,0 +1,275 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView, Alert } from 'react-native';
+import * as DocumentPicker from 'expo-document-picker';
+import * as Sharing from 'expo-sharing';
+import { useSessionState } from '../hooks/useRadarClient';
+import { deleteRecording, importRecording, listRecordings, loadRecording } from '../services/SessionRecorder';
+import { formatDuration } from '../utils/time';
+
+const formatSize = (bytes) => (
+  bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(bytes / 1024))} KB`
+);
+
+const Recordings = ({ recorder, player, zones, onStartReplay }) => {
+  const recorderState = useSessionState(recorder);
+  const [recordings, setRecordings] = useState([]);
+
+  const refreshRecordings = useCallback(() => {
+    listRecordings().then(setRecordings);
+  }, []);
+
+  useEffect(() => {
+    refreshRecordings();
+  }, [refreshRecordings]);
+
+  const handleRecordPress = async () => {
+    if (!recorderState.recording) {
+      recorder.start({ zones });
+      return;
+    }
+
+    try {
+      await recorder.stop();
+    } catch (error) {
+      console.error('Recordings: Failed to save recording:', error);
+      Alert.alert(
+        "Save Failed",
+        `The recording could not be saved: ${error.message}`,
+        [{ text: "OK" }]
+      );
+    }
+    refreshRecordings();
+  };
+
+  const handleImport = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({ type: '*/*', copyToCacheDirectory: true });
+      if (result.canceled) return;
+
+      const asset = result.assets[0];
+      const uri = await importRecording(asset.uri, asset.name);
+      // Make sure it really is a recording before listing it
+      await loadRecording(uri).catch(async (error) => {
+        await deleteRecording(uri);
+        throw error;
+      });
+      refreshRecordings();
+    } catch (error) {
+      console.error('Recordings: Import failed:', error);
+      Alert.alert(
+        "Import Failed",
+        `The file could not be imported: ${error.message}`,
+        [{ text: "OK" }]
+      );
+    }
+  };
+
+  const handlePlay = async (recording) => {
+    try {
+      const { header, entries } = await loadRecording(recording.uri);
+      player.load({ name: recording.name, header, entries });
+      onStartReplay();
+    } catch (error) {
+      console.error('Recordings: Failed to load recording:', error);
+      Alert.alert(
+        "Replay Failed",
+        `The recording could not be read: ${error.message}`,
+        [{ text: "OK" }]
+      );
+    }
+  };
+
+  const handleShare = async (recording) => {
+    try {
+      if (!(await Sharing.isAvailableAsync())) {
+        Alert.alert(
+          "Sharing Unavailable",
+          "Sharing files is not supported on this device.",
+          [{ text: "OK" }]
+        );
+        return;
+      }
+      await Sharing.shareAsync(recording.uri, { mimeType: 'application/json', dialogTitle: recording.name });
+    } catch (error) {
+      console.error('Recordings: Share failed:', error);
+      Alert.alert(
+        "Share Failed",
+        `The recording could not be shared: ${error.message}`,
+        [{ text: "OK" }]
+      );
+    }
+  };
+
+  const handleDelete = (recording) => {
+    Alert.alert(
+      "Delete Recording",
+      `Are you sure you want to delete "${recording.name}"?`,
+      [
+        {
+          text: "Cancel",
+          style: "cancel"
+        },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            await deleteRecording(recording.uri);
+            refreshRecordings();
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Record Session</Text>
+        <Text style={styles.helpText}>
+          Captures every message from the radar server so the session can be replayed later.
+        </Text>
+        {recorderState.recording && (
+          <Text style={styles.recordingText}>
+            ● Recording {formatDuration(Date.now() - recorderState.startedAt)} - {recorderState.entryCount} messages
+          </Text>
+        )}
+        <TouchableOpacity
+          style={[styles.button, recorderState.recording ? styles.stopButton : styles.recordButton]}
+          onPress={handleRecordPress}
+        >
+          <Text style={styles.buttonText}>
+            {recorderState.recording ? 'Stop and Save' : 'Start Recording'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.section}>
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionTitle}>Saved Recordings</Text>
+          <TouchableOpacity onPress={handleImport}>
+            <Text style={styles.linkText}>Import</Text>
+          </TouchableOpacity>
+        </View>
+        {recordings.length === 0 ? (
+          <Text style={styles.emptyText}>No recordings yet</Text>
+        ) : (
+          recordings.map(recording => (
+            <View key={recording.uri} style={styles.recordingEntry}>
+              <Text style={styles.recordingName}>{recording.name}</Text>
+              <Text style={styles.recordingInfo}>
+                {new Date(recording.modifiedAt).toLocaleString()} - {formatSize(recording.size)}
+              </Text>
+              <View style={styles.recordingActions}>
+                <TouchableOpacity onPress={() => handlePlay(recording)}>
+                  <Text style={styles.linkText}>Replay</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => handleShare(recording)}>
+                  <Text style={styles.linkText}>Share</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => handleDelete(recording)}>
+                  <Text style={[styles.linkText, styles.deleteText]}>Delete</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          ))
+        )}
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+    padding: 20,
+  },
+  section: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  helpText: {
+    fontSize: 13,
+    color: '#8e8e93',
+    marginBottom: 12,
+  },
+  recordingText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#ff3b30',
+    marginBottom: 12,
+  },
+  button: {
+    padding: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  recordButton: {
+    backgroundColor: '#4CAF50',
+  },
+  stopButton: {
+    backgroundColor: '#ff3b30',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  linkText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#5856D6',
+  },
+  deleteText: {
+    color: '#ff3b30',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#8e8e93',
+    paddingVertical: 8,
+  },
+  recordingEntry: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  recordingName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  recordingInfo: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  recordingActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 8,
+    width: 200,
+  },
+});
+
+export default Recordings;
@@ -0,0 +1,97 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { useSessionState } from '../hooks/useRadarClient';
+import { PLAYBACK_SPEEDS, PlaybackState } from '../services/SessionPlayer';
+import { formatDuration } from '../utils/time';
+
+// Bar shown under the header while a recording is being replayed
+const ReplayControls = ({ player }) => {
+  const playback = useSessionState(player);
+
+  if (playback.state === PlaybackState.STOPPED) {
+    return null;
+  }
+
+  const isPlaying = playback.state === PlaybackState.PLAYING;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.info}>
+        <Text style={styles.title} numberOfLines={1}>Replay: {playback.name}</Text>
+        <Text style={styles.progress}>
+          {formatDuration(playback.elapsed)} / {formatDuration(playback.duration)}
+          {playback.state === PlaybackState.FINISHED ? ' (finished)' : ''}
+        </Text>
+      </View>
+
+      <TouchableOpacity
+        style={styles.control}
+        onPress={() => (isPlaying ? player.pause() : player.play())}
+      >
+        <Text style={styles.controlText}>{isPlaying ? 'Pause' : 'Play'}</Text>
+      </TouchableOpacity>
+
+      {PLAYBACK_SPEEDS.map(speed => (
+        <TouchableOpacity
+          key={speed}
+          style={[styles.control, playback.speed === speed && styles.controlSelected]}
+          onPress={() => player.setSpeed(speed)}
+        >
+          <Text style={[styles.controlText, playback.speed === speed && styles.controlTextSelected]}>
+            {speed}x
+          </Text>
+        </TouchableOpacity>
+      ))}
+
+      <TouchableOpacity style={styles.control} onPress={() => player.stop()}>
+        <Text style={[styles.controlText, styles.stopText]}>Stop</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#5856D6',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  info: {
+    flex: 1,
+    marginRight: 8,
+  },
+  title: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  progress: {
+    color: '#e5e5ff',
+    fontSize: 12,
+  },
+  control: {
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    borderRadius: 6,
+    marginLeft: 4,
+    backgroundColor: 'rgba(255, 255, 255, 0.15)',
+  },
+  controlSelected: {
+    backgroundColor: '#fff',
+  },
+  controlText: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  controlTextSelected: {
+    color: '#5856D6',
+  },
+  stopText: {
+    color: '#ffd6d4',
+  },
+});
+
+export default ReplayControls;
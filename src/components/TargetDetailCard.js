@@ -0,0 +1,125 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { classifyPosture, POSTURES } from '../hooks/useTargetHeights';
+import { formatDuration } from '../utils/time';
+
+const MIN_MOVING_SPEED = 0.1; // Metres per second below which a target counts as stationary
+
+// Heading in degrees clockwise from down the screen, the direction a wall
+// sensor looks in by default
+const headingOf = (target) => {
+  const heading = (Math.atan2(-target.vx, target.vy) * 180) / Math.PI;
+  return Math.round((heading + 360) % 360);
+};
+
+// Details for a tapped target. `target` is the latest frame for it, or the last
+// one seen while the sensor has lost it.
+const TargetDetailCard = ({ target, detected, zoneNames, location, pinned, onPinToggle, onClose }) => {
+  const speed = Math.hypot(target.vx || 0, target.vy || 0);
+  const hasHeight = typeof target.z === 'number';
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Target {target.id}</Text>
+        <TouchableOpacity onPress={onClose} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+          <Text style={styles.closeText}>×</Text>
+        </TouchableOpacity>
+      </View>
+
+      {!detected && <Text style={styles.lostText}>No longer detected</Text>}
+
+      <Text style={styles.detailText}>
+        Zone: {zoneNames.length > 0 ? zoneNames.join(', ') : 'None'}
+      </Text>
+      {location && <Text style={styles.detailText}>Location: {location}</Text>}
+      <Text style={styles.detailText}>
+        {speed < MIN_MOVING_SPEED
+          ? 'Stationary'
+          : `Speed: ${speed.toFixed(2)} m/s, heading ${headingOf(target)}°`}
+      </Text>
+      {typeof target.firstSeen === 'number' && (
+        <Text style={styles.detailText}>Tracked for: {formatDuration(Date.now() - target.firstSeen)}</Text>
+      )}
+      {hasHeight && (
+        <Text style={styles.detailText}>
+          Height: {target.z.toFixed(2)} m ({POSTURES[classifyPosture(target.z)]})
+        </Text>
+      )}
+
+      <TouchableOpacity
+        style={[styles.pinButton, pinned && styles.pinButtonActive]}
+        onPress={onPinToggle}
+      >
+        <Text style={[styles.pinButtonText, pinned && styles.pinButtonTextActive]}>
+          {pinned ? 'Following' : 'Follow'}
+        </Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    position: 'absolute',
+    top: 10,
+    left: 10,
+    width: 200,
+    padding: 10,
+    borderRadius: 12,
+    backgroundColor: 'rgba(255, 255, 255, 0.95)',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.15,
+    shadowRadius: 4,
+    elevation: 4,
+    zIndex: 3,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  title: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  closeText: {
+    fontSize: 20,
+    color: '#8e8e93',
+  },
+  lostText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#ff9500',
+    marginBottom: 2,
+  },
+  detailText: {
+    fontSize: 12,
+    color: '#444',
+    marginBottom: 2,
+  },
+  pinButton: {
+    marginTop: 6,
+    paddingVertical: 5,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#5856D6',
+    alignItems: 'center',
+  },
+  pinButtonActive: {
+    backgroundColor: '#5856D6',
+  },
+  pinButtonText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#5856D6',
+  },
+  pinButtonTextActive: {
+    color: '#fff',
+  },
+});
+
+export default TargetDetailCard;
@@ -0,0 +1,155 @@
+import React, { useEffect, useState } from 'react';
+import { G, Circle, Rect, Text as SvgText } from 'react-native-svg';
+import Animated, { useAnimatedProps } from 'react-native-reanimated';
+import { RADAR_CONFIG } from '../utils/constants';
+import { describeLocation } from '../utils/floorPlanGeometry';
+
+const AnimatedG = Animated.createAnimatedComponent(G);
+
+// Where the target is in the room, falling back to its coordinates
+const describeTarget = (target, floorPlan) =>
+  describeLocation(target, floorPlan) || `(${target.x.toFixed(2)}, ${target.y.toFixed(2)})`;
+
+// One target, drawn around the origin and moved into place by a translation
+// computed on the UI thread from its shared position values, so new positions
+// from target_update never render React. Only the label is React state, and
+// it renders only when its text changes. The translation is set as the
+// group's native `matrix` prop.
+const TargetMarker = React.memo(({ id, positions, selected, view, floorPlan }) => {
+  const { targetWidth, targetHeight } = RADAR_CONFIG;
+  const [position] = useState(() => positions.get(id));
+  const [label, setLabel] = useState('');
+  const { originX, originY, pxPerMetre } = view;
+
+  useEffect(() => positions.subscribeTarget(id, (target) => {
+    setLabel(describeTarget(target, floorPlan));
+  }), [positions, id, floorPlan]);
+
+  const animatedProps = useAnimatedProps(() => (position ? {
+    matrix: [1, 0, 0, 1, originX + position.x.value * pxPerMetre, originY + position.y.value * pxPerMetre]
+  } : {}), [originX, originY, pxPerMetre]);
+
+  // The target left again before the marker was mounted
+  if (!position) return null;
+
+  return (
+    <AnimatedG animatedProps={animatedProps}>
+      {/* Selection ring for the target whose details are open */}
+      {selected && (
+        <Circle
+          cx={0}
+          cy={0}
+          r={targetWidth * 2.4}
+          fill="none"
+          stroke="#ff9500"
+          strokeWidth="2.5"
+        />
+      )}
+
+      {/* Target pulse effect */}
+      <Circle
+        cx={0}
+        cy={0}
+        r={targetWidth * 2}
+        fill="rgba(88, 86, 214, 0.1)"
+        stroke="rgba(88, 86, 214, 0.3)"
+        strokeWidth="2"
+      />
+      <Circle
+        cx={0}
+        cy={0}
+        r={targetWidth * 1.5}
+        fill="rgba(88, 86, 214, 0.2)"
+        stroke="rgba(88, 86, 214, 0.4)"
+        strokeWidth="2"
+      />
+
+      {/* Target box */}
+      <G>
+        {/* Background box */}
+        <Rect
+          x={-targetWidth / 2}
+          y={-targetHeight / 2}
+          width={targetWidth}
+          height={targetHeight}
+          fill="#5856D6"
+          opacity="0.9"
+          rx="2"
+          ry="2"
+        />
+        {/* Border */}
+        <Rect
+          x={-targetWidth / 2}
+          y={-targetHeight / 2}
+          width={targetWidth}
+          height={targetHeight}
+          fill="none"
+          stroke="#ffffff"
+          strokeWidth="1"
+          opacity="0.5"
+          rx="2"
+          ry="2"
+        />
+        {/* Highlight */}
+        <Rect
+          x={-targetWidth / 2}
+          y={-targetHeight / 2}
+          width={targetWidth}
+          height={targetHeight / 2}
+          fill="#ffffff"
+          opacity="0.2"
+          rx="2"
+          ry="2"
+        />
+      </G>
+
+      {/* Target info */}
+      <G>
+        <SvgText
+          x={0}
+          y={-targetHeight / 2 - 5}
+          fill="#000000"
+          fontSize="10"
+          textAnchor="middle"
+          fontWeight="bold"
+        >
+          ID: {id}
+        </SvgText>
+        <SvgText
+          x={0}
+          y={targetHeight / 2 + 12}
+          fill="#8e8e93"
+          fontSize="8"
+          textAnchor="middle"
+        >
+          {label}
+        </SvgText>
+      </G>
+    </AnimatedG>
+  );
+});
+
+// Renders when targets appear or disappear, or the view changes; their movement
+// is left to the markers' shared values
+const TargetLayer = React.memo(({ positions, view, floorPlan, selectedId }) => {
+  const [ids, setIds] = useState(positions.ids);
+
+  useEffect(() => positions.subscribe(setIds), [positions]);
+
+  return (
+    <G>
+      {ids.map((id) => (
+        <TargetMarker
+          key={`target-${id}`}
+          id={id}
+          positions={positions}
+          selected={id === selectedId}
+          view={view}
+          floorPlan={floorPlan}
+        />
+      ))}
+    </G>
+  );
+});
+
+export default TargetLayer;
@@ -0,0 +1,27 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+
+// Like useState, but updates arriving faster than `interval` ms are merged so
+// the component renders at most once per interval, always with the latest value.
+export const useCoalescedState = (initialValue, interval) => {
+  const [value, setValue] = useState(initialValue);
+  // Latest value including updates that have not been rendered yet
+  const latestRef = useRef(initialValue);
+  const timerRef = useRef(null);
+  const lastFlushRef = useRef(0);
+
+  const setCoalesced = useCallback((next) => {
+    latestRef.current = typeof next === 'function' ? next(latestRef.current) : next;
+    if (timerRef.current) return;
+
+    const wait = Math.max(0, lastFlushRef.current + interval - Date.now());
+    timerRef.current = setTimeout(() => {
+      timerRef.current = null;
+      lastFlushRef.current = Date.now();
+      setValue(latestRef.current);
+    }, wait);
+  }, [interval]);
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  return [value, setCoalesced];
+};
@@ -0,0 +1,49 @@
+import { useEffect, useRef, useState } from 'react';
+
+// Subscribe a component to one radar message type for as long as it is mounted.
+// The latest handler is always called, so it does not need to be memoised.
+export const useRadarMessage = (client, type, handler) => {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => {
+    if (!client) return;
+    return client.subscribe(type, (data) => handlerRef.current(data));
+  }, [client, type]);
+};
+
+// Track the connection status reported by a RadarClient
+export const useRadarStatus = (client) => {
+  const [status, setStatus] = useState(client ? client.status : null);
+
+  useEffect(() => {
+    if (!client) return;
+    return client.onStatusChange(setStatus);
+  }, [client]);
+
+  return status;
+};
+
+// Track the items waiting in an OutboundQueue
+export const useOutboundQueue = (queue) => {
+  const [items, setItems] = useState(queue ? queue.items : []);
+
+  useEffect(() => {
+    if (!queue) return;
+    return queue.subscribe(setItems);
+  }, [queue]);
+
+  return items;
+};
+
+// Track the state of a SessionRecorder or SessionPlayer
+export const useSessionState = (session) => {
+  const [state, setState] = useState(session ? session.getState() : null);
+
+  useEffect(() => {
+    if (!session) return;
+    return session.subscribe(setState);
+  }, [session]);
+
+  return state;
+};
@@ -0,0 +1,50 @@
+import { useMemo, useRef } from 'react';
+import { HEIGHT_HISTORY_DURATION, POSTURE_THRESHOLDS } from '../utils/constants';
+import { getTargetColor } from './useTargetTrails';
+
+export const POSTURES = {
+  standing: 'Standing',
+  sitting: 'Sitting',
+  lying: 'Lying'
+};
+
+export const classifyPosture = (height) => {
+  if (height < POSTURE_THRESHOLDS.lying) return 'lying';
+  if (height < POSTURE_THRESHOLDS.sitting) return 'sitting';
+  return 'standing';
+};
+
+// Keep the height (z) of each target over the last `duration` ms. Only live
+// targets with a reported height are returned, as
+// [{ id, color, samples: [{ z, time }], current, posture }].
+export const useTargetHeights = (targets, duration = HEIGHT_HISTORY_DURATION) => {
+  // History lives in a ref so it survives renders without triggering new ones
+  const historyRef = useRef(new Map());
+
+  return useMemo(() => {
+    const history = historyRef.current;
+    const now = Date.now();
+    targets.forEach(target => {
+      if (typeof target.z !== 'number') return;
+      const samples = history.get(target.id) || [];
+      samples.push({ z: target.z, time: now });
+      history.set(target.id, samples);
+    });
+
+    const liveIds = new Set(targets.map(target => target.id));
+    const heights = [];
+    history.forEach((samples, id) => {
+      const recent = samples.filter(sample => now - sample.time <= duration);
+      if (recent.length === 0) {
+        history.delete(id);
+        return;
+      }
+      history.set(id, recent);
+      if (!liveIds.has(id)) return;
+
+      const current = recent[recent.length - 1].z;
+      heights.push({ id, color: getTargetColor(id), samples: recent, current, posture: classifyPosture(current) });
+    });
+    return heights;
+  }, [targets, duration]);
+};
@@ -0,0 +1,69 @@
+import { useMemo, useRef } from 'react';
+import { TARGET_COLORS, TRAIL_MIN_STEP, TRAIL_SEGMENTS } from '../utils/constants';
+
+// Stable colour for a target id
+export const getTargetColor = (id) => {
+  const text = String(id);
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) % 1000003;
+  }
+  return TARGET_COLORS[hash % TARGET_COLORS.length];
+};
+
+// Keep the positions of each target id over the last `duration` ms and split
+// them into segments that get fainter with age. Returns
+// [{ id, color, segments: [{ points, opacity }] }], oldest segment first.
+export const useTargetTrails = (targets, duration) => {
+  // History lives in a ref so it survives renders without triggering new ones
+  const historyRef = useRef(new Map());
+
+  return useMemo(() => {
+    const history = historyRef.current;
+    if (!duration) {
+      history.clear();
+      return [];
+    }
+
+    const now = Date.now();
+    targets.forEach(target => {
+      const points = history.get(target.id) || [];
+      const last = points[points.length - 1];
+      if (!last || Math.hypot(target.x - last.x, target.y - last.y) >= TRAIL_MIN_STEP) {
+        points.push({ x: target.x, y: target.y, time: now });
+      } else {
+        last.time = now;
+      }
+      history.set(target.id, points);
+    });
+
+    const trails = [];
+    history.forEach((points, id) => {
+      const recent = points.filter(point => now - point.time <= duration);
+      if (recent.length === 0) {
+        history.delete(id);
+        return;
+      }
+      history.set(id, recent);
+      if (recent.length < 2) return;
+
+      // Group points by age, sharing the boundary point so segments join up
+      const segments = [];
+      for (let step = TRAIL_SEGMENTS - 1; step >= 0; step--) {
+        const newest = now - (duration * step) / TRAIL_SEGMENTS;
+        const oldest = now - (duration * (step + 1)) / TRAIL_SEGMENTS;
+        const startIndex = recent.findIndex(point => point.time >= oldest);
+        let endIndex = recent.findIndex(point => point.time > newest);
+        if (endIndex === -1) endIndex = recent.length;
+        if (startIndex === -1 || startIndex >= endIndex) continue;
+
+        const segmentPoints = recent.slice(Math.max(0, startIndex - 1), endIndex);
+        if (segmentPoints.length >= 2) {
+          segments.push({ points: segmentPoints, opacity: (TRAIL_SEGMENTS - step) / TRAIL_SEGMENTS });
+        }
+      }
+      trails.push({ id, color: getTargetColor(id), segments });
+    });
+    return trails;
+  }, [targets, duration]);
+};
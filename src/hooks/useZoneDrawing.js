@@ -0,0 +1,135 @@
+import { useMemo, useReducer } from 'react';
+import { isShapeComplete, zoneOutline } from '../utils/zoneShapes';
+
+// Drawing a zone goes idle -> drawing -> naming -> idle, and cancelling goes
+// back to idle from anywhere. While drawing, every change of tool or points is
+// a step that can be undone and redone. Shapes being dragged out are held in
+// `preview` until the drag ends, so a drag is a single step.
+export const DrawingMode = {
+  IDLE: 'idle',
+  DRAWING: 'drawing',
+  NAMING: 'naming'
+};
+
+const initialState = {
+  mode: DrawingMode.IDLE,
+  tool: 'polygon',
+  points: [],
+  preview: null,
+  past: [],
+  future: []
+};
+
+// The chosen tool is kept for the next zone
+const reset = (state) => ({ ...initialState, tool: state.tool });
+
+// Apply a change as an undoable step
+const step = (state, changes) => ({
+  ...state,
+  ...changes,
+  preview: null,
+  past: [...state.past, { tool: state.tool, points: state.points }],
+  future: []
+});
+
+export const zoneDrawingReducer = (state, action) => {
+  if (action.type === 'cancel') return reset(state);
+
+  switch (state.mode) {
+    case DrawingMode.IDLE:
+      return action.type === 'start' ? { ...reset(state), mode: DrawingMode.DRAWING } : state;
+
+    case DrawingMode.NAMING:
+      return action.type === 'submitted' ? reset(state) : state;
+
+    case DrawingMode.DRAWING:
+      break;
+
+    default:
+      return state;
+  }
+
+  switch (action.type) {
+    case 'set_tool':
+      // Points only make sense for the tool they were placed with
+      return action.tool === state.tool ? state : step(state, { tool: action.tool, points: [] });
+
+    case 'add_point':
+      return state.tool === 'polygon' ? step(state, { points: [...state.points, action.point] }) : state;
+
+    case 'set_points':
+      return state.tool === 'polygon' ? step(state, { points: action.points }) : state;
+
+    case 'preview_shape':
+      return state.tool === 'polygon' ? state : { ...state, preview: action.points };
+
+    case 'commit_shape': {
+      // The caller passes the points it checked; the preview may lag behind them
+      const points = action.points || state.preview;
+      return points && state.tool !== 'polygon' ? step(state, { points }) : state;
+    }
+
+    case 'undo': {
+      if (state.past.length === 0) return state;
+      const previous = state.past[state.past.length - 1];
+      return {
+        ...state,
+        ...previous,
+        preview: null,
+        past: state.past.slice(0, -1),
+        future: [{ tool: state.tool, points: state.points }, ...state.future]
+      };
+    }
+
+    case 'redo': {
+      if (state.future.length === 0) return state;
+      const [next, ...future] = state.future;
+      return {
+        ...state,
+        ...next,
+        preview: null,
+        past: [...state.past, { tool: state.tool, points: state.points }],
+        future
+      };
+    }
+
+    case 'finish':
+      return isShapeComplete(state.tool, state.points) ? { ...state, mode: DrawingMode.NAMING, preview: null } : state;
+
+    default:
+      return state;
+  }
+};
+
+// State of the zone being drawn, with `outline` being the zone polygon for
+// the points placed so far, or the shape being dragged out
+export const useZoneDrawing = () => {
+  const [state, dispatch] = useReducer(zoneDrawingReducer, initialState);
+
+  const actions = useMemo(() => ({
+    start: () => dispatch({ type: 'start' }),
+    cancel: () => dispatch({ type: 'cancel' }),
+    setTool: (tool) => dispatch({ type: 'set_tool', tool }),
+    addPoint: (point) => dispatch({ type: 'add_point', point }),
+    setPoints: (points) => dispatch({ type: 'set_points', points }),
+    previewShape: (points) => dispatch({ type: 'preview_shape', points }),
+    commitShape: (points) => dispatch({ type: 'commit_shape', points }),
+    undo: () => dispatch({ type: 'undo' }),
+    redo: () => dispatch({ type: 'redo' }),
+    finish: () => dispatch({ type: 'finish' }),
+    submitted: () => dispatch({ type: 'submitted' })
+  }), []);
+
+  const shapePoints = state.preview || state.points;
+  const outline = useMemo(() => zoneOutline(state.tool, shapePoints), [state.tool, shapePoints]);
+
+  return {
+    ...state,
+    ...actions,
+    shapePoints,
+    outline,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0,
+    canFinish: isShapeComplete(state.tool, state.points)
+  };
+};
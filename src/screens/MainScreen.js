@@ -1,28 +1,74 @@
 import React, { useState, useRef, useCallback, useEffect, useMemo } from 'react';
 import { View, Text, SafeAreaView, ScrollView, TouchableOpacity, Alert, Modal, ActivityIndicator, Platform } from 'react-native';
+import NetInfo from '@react-native-community/netinfo';
 import { styles } from '../styles/styles';
-import { MAX_TARGETS } from '../utils/constants';
+import { MAX_TARGETS, MESSAGE_THROTTLE, SMOOTHING_LEVELS } from '../utils/constants';
 import RadarVisualization from '../components/RadarVisualization';
 import FallAlert from '../components/FallAlert';
 import DeviceSettings from '../components/DeviceSettings';
-// Add WebSocket import if using React Native WebSocket API
-// If using a different WebSocket implementation, adjust accordingly
-const WebSocketState = {
-  CONNECTING: 0,
-  OPEN: 1,
-  CLOSING: 2,
-  CLOSED: 3
+import AccountSettings from '../components/AccountSettings';
+import Diagnostics from '../components/Diagnostics';
+import Recordings from '../components/Recordings';
+import FloorPlanEditor from '../components/FloorPlanEditor';
+import HeightPanel from '../components/HeightPanel';
+import { useTargetHeights } from '../hooks/useTargetHeights';
+import { useCoalescedState } from '../hooks/useCoalescedState';
+import ReplayControls from '../components/ReplayControls';
+import RadarClient, { ConnectionState } from '../services/RadarClient';
+import OutboundQueue, { QueueItemStatus } from '../services/OutboundQueue';
+import SessionRecorder from '../services/SessionRecorder';
+import SessionPlayer from '../services/SessionPlayer';
+import TargetFilter from '../services/TargetFilter';
+import TargetPositions from '../services/TargetPositions';
+import OccupancyHeatmap from '../services/OccupancyHeatmap';
+import { useOutboundQueue, useRadarMessage, useRadarStatus } from '../hooks/useRadarClient';
+import {
+  DEFAULT_PROFILE,
+  buildSocketUrl,
+  loadConnectionProfiles,
+  saveConnectionProfiles
+} from '../services/connectionProfiles';
+import { clearCredentials, loadCredentials, saveCredentials } from '../services/credentials';
+import { DEFAULT_SENSOR_SETTINGS, loadSensorSettings, saveSensorSettings } from '../services/sensorSettings';
+import { DEFAULT_FLOOR_PLAN, loadFloorPlan, saveFloorPlan } from '../services/floorPlan';
+import { targetsToRoom } from '../utils/sensorMount';
+import { pointInPolygon } from '../utils/zoneGeometry';
+import { Capability, PROTOCOL_VERSION, hasCapability } from '../services/protocol';
+
+// Map a RadarClient status to the header text and dot colour
+const describeConnectionStatus = (status) => {
+  switch (status.state) {
+    case ConnectionState.CONNECTING:
+      return { text: 'Connecting...', color: '#ffcc00' };
+    case ConnectionState.AUTHENTICATING:
+      return { text: 'Authenticating...', color: '#ffcc00' };
+    case ConnectionState.AUTH_FAILED:
+      return { text: 'Authentication failed', color: '#ff3b30' };
+    case ConnectionState.CONNECTED:
+      return { text: 'Connected', color: '#34c759' };
+    case ConnectionState.RECONNECTING:
+      return { text: `Reconnecting in ${Math.round(status.retryDelay / 1000)}s...`, color: '#ffcc00' };
+    case ConnectionState.FAILED:
+      return { text: 'Max attempts reached - tap to retry', color: '#ff3b30' };
+    case ConnectionState.ERROR:
+      return { text: 'Connection Error', color: '#ff3b30' };
+    case ConnectionState.DISCONNECTED:
+      return { text: 'Disconnected - tap to retry', color: '#ff3b30' };
+    case ConnectionState.OFFLINE:
+      return { text: 'Offline', color: '#8e8e93' };
+    case ConnectionState.REPLAYING:
+      return { text: 'Replaying recording', color: '#5856D6' };
+    default:
+      return { text: 'Not connected', color: '#ff3b30' };
+  }
 };
 
 const MainScreen = () => {
   // Move all state declarations to the top level of the component
-  const [connectionStatus, setConnectionStatus] = useState('Not connected');
-  const [socket, setSocket] = useState(null);
-  const [statusColor, setStatusColor] = useState('#ff3b30');
-  const [targets, setTargets] = useState([]);
+  // Every target_update is filtered, but the screen renders at most once per MESSAGE_THROTTLE
+  const [targets, setTargets] = useCoalescedState([], MESSAGE_THROTTLE);
   const [zones, setZones] = useState([]);
   const [activeZones, setActiveZones] = useState(new Set());
-  const [deletingZones, setDeletingZones] = useState(new Set());
   const [zoneLogs, setZoneLogs] = useState({});
   const [receivedZoneLogs, setReceivedZoneLogs] = useState(false);
   const [selectedZone, setSelectedZone] = useState(null);
@@ -31,30 +77,117 @@ const MainScreen = () => {
   const [showFallAlert, setShowFallAlert] = useState(false);
   const [activeView, setActiveView] = useState('zones');
   const [fallLogs, setFallLogs] = useState([]);
-  const [connectionAttempts, setConnectionAttempts] = useState(0);
   const [newFallDetected, setNewFallDetected] = useState(false);
-  const [debugInfo, setDebugInfo] = useState({
-    lastMessage: "None",
-    zonesCount: 0,
-    logsCount: 0,
-    connectionEvents: []
-  });
   const [showDeviceSettings, setShowDeviceSettings] = useState(false);
+  const [connectionProfiles, setConnectionProfiles] = useState([DEFAULT_PROFILE]);
+  const [activeProfileId, setActiveProfileId] = useState(DEFAULT_PROFILE.id);
+  const [credentials, setCredentials] = useState(null);
+  const [showAccount, setShowAccount] = useState(false);
+  const [showDiagnostics, setShowDiagnostics] = useState(false);
+  const [showRecordings, setShowRecordings] = useState(false);
+  const [showFloorPlan, setShowFloorPlan] = useState(false);
+  const [smoothingLevel, setSmoothingLevel] = useState('medium');
+  const [sensorSettings, setSensorSettings] = useState(DEFAULT_SENSOR_SETTINGS);
+  const [floorPlan, setFloorPlan] = useState(DEFAULT_FLOOR_PLAN);
+  const [lastFall, setLastFall] = useState(null);
+  const [serverInfo, setServerInfo] = useState(null);
 
   // Define all refs at the top level
   const prevActiveZonesRef = useRef(new Set());
-  const retryTimeoutRef = useRef(null);
-  const isConnectingRef = useRef(false);
-  const lastConnectionAttemptRef = useRef(0);
-  const messageResponseTimeoutRef = useRef(null);
-  const lastMessageSentTimeRef = useRef(0);
-  const lastMessageReceivedTimeRef = useRef(0);
-  const lastMessageTimeRef = useRef(Date.now());
-
-  // Constants
-  const maxReconnectAttempts = 5;
-  const baseReconnectDelay = 1000;
-  const maxReconnectDelay = 30000;
+
+  // One radar client for the lifetime of the screen
+  const radarClient = useMemo(() => new RadarClient(), []);
+  const radarStatus = useRadarStatus(radarClient);
+  const isConnected = radarStatus.state === ConnectionState.CONNECTED;
+  // Replayed recordings are shown but not logged as zone occupancy, and their
+  // zones cannot be changed
+  const isReplaying = radarStatus.state === ConnectionState.REPLAYING;
+  const { text: connectionStatus, color: statusColor } = describeConnectionStatus(radarStatus);
+
+  // Capture the live message stream, or replay a capture in its place
+  const sessionRecorder = useMemo(() => new SessionRecorder(radarClient), [radarClient]);
+  const sessionPlayer = useMemo(() => new SessionPlayer(radarClient), [radarClient]);
+
+  // Smooths target positions before they reach the screen and the zone logic
+  const targetFilter = useMemo(() => new TargetFilter(), []);
+
+  useEffect(() => {
+    targetFilter.setGains(SMOOTHING_LEVELS.find(level => level.id === smoothingLevel));
+  }, [targetFilter, smoothingLevel]);
+
+  // Marker positions, written on every frame without waiting for the coalesced render
+  const targetPositions = useMemo(() => new TargetPositions(), []);
+
+  // Tracks are kept in room coordinates, so start over when the sensor is moved
+  useEffect(() => {
+    targetFilter.reset();
+  }, [targetFilter, sensorSettings]);
+
+  // Recent height of each target, kept even while the height panel is hidden
+  // so it can show what led up to a fall
+  const targetHeights = useTargetHeights(targets);
+
+  // Where targets spend their time, for the heatmap overlay
+  const occupancyHeatmap = useMemo(() => new OccupancyHeatmap(), []);
+  useEffect(() => {
+    occupancyHeatmap.start();
+    return () => occupancyHeatmap.stop();
+  }, [occupancyHeatmap]);
+
+  // Zone and config changes go through a persistent queue so they survive disconnects
+  const outboundQueue = useMemo(() => new OutboundQueue(radarClient), [radarClient]);
+  const queueItems = useOutboundQueue(outboundQueue);
+
+  // Sync state of each zone with a queued change: pending or failed, else synced
+  const zoneSyncItems = useMemo(() => {
+    const itemsByZone = {};
+    queueItems.forEach(item => {
+      if (item.meta && item.meta.zoneId) {
+        itemsByZone[item.meta.zoneId] = item;
+      }
+    });
+    return itemsByZone;
+  }, [queueItems]);
+
+  const deletingZones = useMemo(() => new Set(
+    queueItems
+      .filter(item => item.type === 'delete_zone' && item.status === QueueItemStatus.PENDING)
+      .map(item => item.meta.zoneId)
+  ), [queueItems]);
+
+  // Keep zones that were created locally but not yet acknowledged by the server,
+  // and local edits over the server's copy until it confirms them
+  const mergeUnsyncedZones = useCallback((serverZones) => {
+    const unsyncedZones = outboundQueue.items
+      .filter(item => item.type === 'new_zone')
+      .map(item => item.payload.zone)
+      .filter(zone => !serverZones.some(serverZone => serverZone.id === zone.id));
+    const editedZones = {};
+    outboundQueue.items
+      .filter(item => item.type === 'update_zone')
+      .forEach(item => {
+        editedZones[item.payload.zone.id] = item.payload.zone;
+      });
+    return [...serverZones, ...unsyncedZones].map(zone => editedZones[zone.id] || zone);
+  }, [outboundQueue]);
+
+  // Force reconnect function
+  const forceReconnect = useCallback(() => {
+    console.log('Force reconnecting WebSocket...');
+    radarClient.reconnect();
+  }, [radarClient]);
+
+  // Fire-and-forget send for messages that expect no reply
+  const sendWebSocketMessage = useCallback((message) => {
+    return radarClient.send(message);
+  }, [radarClient]);
+
+  // Send a correlated request whose result is only handled by the message subscribers
+  const requestInBackground = useCallback((type, payload) => {
+    radarClient.request(type, payload).catch(error => {
+      console.log(`Request ${type} failed (${error.code}):`, error.message);
+    });
+  }, [radarClient]);
 
   // Move the memoized state to the top level
   const currentState = useMemo(() => {
@@ -65,174 +198,169 @@ const MainScreen = () => {
     };
   }, [activeZones, targets, zones]);
 
-  // Update the WebSocket connection effect to request data on connection
+  // Remember what the last connected server supports, so the UI does not
+  // flicker while reconnecting. The compatibility warning is shown once per
+  // server and firmware, not on every reconnect.
+  const incompatibleWarningRef = useRef(null);
   useEffect(() => {
-    if (connectionStatus === 'Connected' && socket) {
-      console.log('WebSocket connected, requesting initial data...');
-      
-      // Request zones and logs immediately after connection
-      setTimeout(() => {
-        if (socket && socket.readyState === WebSocketState.OPEN) {
-          console.log('Requesting zones from server...');
-          sendWebSocketMessage({ type: 'request_zones' });
-          
-          // Wait a short moment before requesting logs to avoid overwhelming the server
-          setTimeout(() => {
-            if (socket && socket.readyState === WebSocketState.OPEN) {
-              console.log('Requesting logs from server...');
-              sendWebSocketMessage({ type: 'request_logs' });
-              handleFallLogsRequest();
-            }
-          }, 500);
-        }
-      }, 100);
-
-      // Heartbeat interval
-      const heartbeatInterval = setInterval(() => {
-        if (socket && socket.readyState === WebSocketState.OPEN) {
-          console.log('Sending heartbeat ping...');
-          sendWebSocketMessage({ type: 'ping' });
-        } else if (connectionStatus === 'Connected') {
-          console.log('Heartbeat detected closed socket despite Connected status, reconnecting...');
-          forceReconnect();
-        }
-      }, 30000);
-
-      // Data check interval - periodically verify we have data
-      const dataCheckInterval = setInterval(() => {
-        if (socket && socket.readyState === WebSocketState.OPEN) {
-          if (zones.length === 0) {
-            console.log('No zones loaded, requesting from server...');
-            sendWebSocketMessage({ type: 'request_zones' });
-          }
-          if (!receivedZoneLogs) {
-            console.log('No logs received, requesting from server...');
-            sendWebSocketMessage({ type: 'request_logs' });
-          }
-        }
-      }, 30000);
-
-      // Connection check interval
-      const connectionCheckInterval = setInterval(() => {
-        const now = Date.now();
-        if (now - lastMessageTimeRef.current > 120000 && 
-            socket && 
-            socket.readyState === WebSocketState.OPEN) {
-          console.log('No messages received for 2 minutes, forcing reconnect...');
-          forceReconnect();
-        }
-      }, 30000);
-
-      // Cleanup function
-      return () => {
-        console.log('Clearing WebSocket intervals');
-        clearInterval(heartbeatInterval);
-        clearInterval(dataCheckInterval);
-        clearInterval(connectionCheckInterval);
-      };
+    if (radarStatus.state !== ConnectionState.CONNECTED) return;
+
+    const server = radarStatus.server;
+    setServerInfo(server);
+    const serverKey = `${radarClient.options.url}|${server.firmware}|${server.protocolVersion}`;
+    if (!server.compatible && incompatibleWarningRef.current !== serverKey) {
+      incompatibleWarningRef.current = serverKey;
+      Alert.alert(
+        "Incompatible Radar Firmware",
+        `The radar speaks protocol version ${server.protocolVersion}` +
+          (server.minClientVersion !== null ? ` and needs app protocol ${server.minClientVersion} or newer` : '') +
+          `, but this app speaks version ${PROTOCOL_VERSION}. Some features may not work.`,
+        [{ text: "OK" }]
+      );
     }
-  }, [connectionStatus, socket, zones.length, receivedZoneLogs, sendWebSocketMessage, forceReconnect, handleFallLogsRequest]);
-
-  // Update the WebSocket message handler to properly handle zone responses
-  const handleWebSocketMessage = useCallback((event) => {
-    try {
-      const data = JSON.parse(event.data);
-      const messageType = data.type || "unknown";
-      lastMessageReceivedTimeRef.current = Date.now();
-      lastMessageTimeRef.current = Date.now();
-      
-      console.log('Received WebSocket message:', messageType);
-      
-      // Clear any pending timeout
-      if (messageResponseTimeoutRef.current) {
-        clearTimeout(messageResponseTimeoutRef.current);
-        messageResponseTimeoutRef.current = null;
+  }, [radarClient, radarStatus]);
+
+  const supportsZoneLogs = hasCapability(serverInfo, Capability.ZONE_LOGS);
+  const supportsFallDetection = hasCapability(serverInfo, Capability.FALL_DETECTION);
+  const supportsZoneEditing = hasCapability(serverInfo, Capability.ZONE_EDITING);
+
+  // Request the data the server supports once the hello exchange is done,
+  // one request at a time to avoid overwhelming the server
+  useEffect(() => {
+    if (!isConnected) return;
+
+    const server = radarStatus.server;
+    console.log('WebSocket connected, requesting initial data...');
+
+    const loadInitialData = async () => {
+      const requests = [];
+      if (hasCapability(server, Capability.ZONES)) {
+        requests.push(['request_zones']);
+      }
+      if (hasCapability(server, Capability.ZONE_LOGS)) {
+        requests.push(['request_logs']);
+      }
+      if (hasCapability(server, Capability.FALL_DETECTION)) {
+        requests.push(['fall_logs', {
+          start_time: Date.now() - (24 * 60 * 60 * 1000), // Last 24 hours
+          end_time: Date.now()
+        }]);
       }
-      
-      switch (messageType) {
-        case 'zones_response':
-          console.log('Received zones response:', data.zones);
-          if (data.zones) {
-            setZones(Object.values(data.zones));
-          }
-          break;
-          
-        case 'zone_deleted':
-          console.log('Received zone deletion confirmation:', data);
-          if (data.success && data.zoneId) {
-            handleZoneDeleteConfirmation(data.zoneId);
-          }
-          break;
 
-        case 'zones_data':
-          console.log('Received updated zones data:', data.zones);
-          if (data.zones) {
-            setZones(Object.values(data.zones));
-          }
-          break;
-          
-        case 'zone_logs_response':
-          console.log('Received zone logs response');
-          if (data.logs) {
-            setZoneLogs(data.logs);
-            setReceivedZoneLogs(true);
-          }
-          break;
-          
-        case 'fall_logs_response':
-          console.log('Received fall logs response:', data);
-          if (data.logs) {
-            setFallLogs(data.logs);
-          }
-          break;
-          
-        case 'target_update':
-          if (data.targets) {
-            setTargets(data.targets);
-          }
-          break;
-          
-        case 'fall_event':
-          console.log('Received fall event:', data);
-          setShowFallAlert(true);
-          setNewFallDetected(true);
-          break;
-          
-        case 'zone_event':
-          console.log('Received zone event:', data);
-          break;
-          
-        case 'pong':
-          // Heartbeat response, just log it
-          console.log('Received pong response');
-          break;
-          
-        case 'error':
-          console.error('Received error from server:', data.error);
-          break;
-          
-        default:
-          console.log('Unhandled message type:', messageType);
+      for (const [type, payload] of requests) {
+        try {
+          console.log(`Requesting ${type} from server...`);
+          await radarClient.request(type, payload);
+        } catch (error) {
+          console.log(`Request ${type} failed (${error.code}):`, error.message);
+        }
       }
-    } catch (error) {
-      console.error('Error handling WebSocket message:', error);
+    };
+
+    loadInitialData();
+  }, [isConnected]);
+
+  // Periodically verify we have data while connected
+  useEffect(() => {
+    if (!isConnected) return;
+
+    const dataCheckInterval = setInterval(() => {
+      if (zones.length === 0) {
+        console.log('No zones loaded, requesting from server...');
+        requestInBackground('request_zones');
+      }
+      if (!receivedZoneLogs && supportsZoneLogs) {
+        console.log('No logs received, requesting from server...');
+        requestInBackground('request_logs');
+      }
+    }, 30000);
+
+    return () => clearInterval(dataCheckInterval);
+  }, [isConnected, zones.length, receivedZoneLogs, supportsZoneLogs, requestInBackground]);
+
+  useRadarMessage(radarClient, 'auth_ok', (data) => {
+    // A replayed session's token is not the live one
+    if (radarClient.status.state === ConnectionState.REPLAYING) return;
+
+    // Keep the token issued in exchange for a pairing code
+    if (data.token) {
+      console.log('Received session token from server');
+      const issuedCredentials = { method: 'token', value: data.token };
+      setCredentials(issuedCredentials);
+      saveCredentials(issuedCredentials);
     }
-  }, []);
+  });
 
-  // Check if a target is inside a zone
-  const isTargetInZone = useCallback((target, zone) => {
-    let inside = false;
-    for (let i = 0, j = zone.points.length - 1; i < zone.points.length; j = i++) {
-      const xi = zone.points[i].x, yi = zone.points[i].y;
-      const xj = zone.points[j].x, yj = zone.points[j].y;
-      
-      if (((yi > target.y) !== (yj > target.y)) &&
-          (target.x < (xj - xi) * (target.y - yi) / (yj - yi) + xi)) {
-        inside = !inside;
+  useRadarMessage(radarClient, 'zones_response', (data) => {
+    console.log('Received zones response:', data.zones);
+    if (data.zones) {
+      setZones(mergeUnsyncedZones(Object.values(data.zones)));
+    }
+  });
+
+  useRadarMessage(radarClient, 'zone_deleted', (data) => {
+    console.log('Received zone deletion confirmation:', data);
+    if (data.success && data.zoneId) {
+      handleZoneDeleteConfirmation(data.zoneId);
+    }
+  });
+
+  useRadarMessage(radarClient, 'zones_data', (data) => {
+    console.log('Received updated zones data:', data.zones);
+    if (data.zones) {
+      setZones(mergeUnsyncedZones(Object.values(data.zones)));
+    }
+  });
+
+  useRadarMessage(radarClient, 'zone_logs_response', (data) => {
+    console.log('Received zone logs response');
+    if (data.logs) {
+      setZoneLogs(data.logs);
+      setReceivedZoneLogs(true);
+    }
+  });
+
+  useRadarMessage(radarClient, 'fall_logs_response', (data) => {
+    console.log('Received fall logs response:', data);
+    if (data.logs) {
+      setFallLogs(data.logs);
+    }
+  });
+
+  useRadarMessage(radarClient, 'target_update', (data) => {
+    if (data.targets) {
+      // Targets arrive in the sensor's frame; everything else works in room coordinates
+      const filteredTargets = targetFilter.update(targetsToRoom(data.targets, sensorSettings));
+      if (radarClient.status.state !== ConnectionState.REPLAYING) {
+        occupancyHeatmap.record(filteredTargets);
       }
+      targetPositions.update(filteredTargets, { interpolate: smoothingLevel !== 'off' });
+      setTargets(filteredTargets);
     }
-    return inside;
-  }, []);
+  });
+
+  useRadarMessage(radarClient, 'fall_event', (data) => {
+    console.log('Received fall event:', data);
+    setLastFall({ time: Date.now(), targetId: data.target_id });
+    setShowFallAlert(true);
+    setNewFallDetected(true);
+  });
+
+  useRadarMessage(radarClient, 'zone_event', (data) => {
+    console.log('Received zone event:', data);
+  });
+
+  useRadarMessage(radarClient, 'pong', () => {
+    // Heartbeat response, just log it
+    console.log('Received pong response');
+  });
+
+  useRadarMessage(radarClient, 'error', (data) => {
+    console.error('Received error from server:', data.error);
+  });
+
+  // Check if a target is inside a zone
+  const isTargetInZone = useCallback((target, zone) => pointInPolygon(target, zone.points), []);
 
   // Combined effect to track active zones and create logs
   useEffect(() => {
@@ -255,6 +383,8 @@ const MainScreen = () => {
       // Check for state change
       if (isActive !== wasActive) {
         hasChanges = true;
+        // Replayed visits still highlight the zone but are not logged
+        if (isReplaying) return;
 
         // Create log entry
         const logEntry = {
@@ -295,7 +425,7 @@ const MainScreen = () => {
     }
 
     prevActiveZonesRef.current = currentActiveZones;
-  }, [zones, targets, isTargetInZone]); // Remove activeZones from dependencies
+  }, [zones, targets, isTargetInZone, isReplaying]); // Remove activeZones from dependencies
 
   // Cleanup function to limit number of stored targets with throttling
   const cleanupTargets = useCallback(() => {
@@ -314,6 +444,16 @@ const MainScreen = () => {
   }, [cleanupTargets, targets]);
 
   const handleZoneDelete = (zoneId) => {
+    // Zones shown during a replay are the recording's, not the sensor's
+    if (isReplaying) {
+      Alert.alert(
+        "Replaying",
+        "Zones cannot be changed while a recording is replaying.",
+        [{ text: "OK" }]
+      );
+      return;
+    }
+
     Alert.alert(
       "Delete Zone",
       "Are you sure you want to delete this zone?",
@@ -326,15 +466,9 @@ const MainScreen = () => {
           text: "Delete",
           style: "destructive",
           onPress: () => {
-            setDeletingZones(prev => new Set(prev).add(zoneId));
-            const deleteRequest = {
-              type: 'delete_zone',
-              zoneId: zoneId
-            };
-            console.log('Sending zone delete request:', deleteRequest);
-            if (socket && socket.readyState === WebSocketState.OPEN) {
-              sendWebSocketMessage(deleteRequest);
-            }
+            console.log('Queueing zone delete request for zone:', zoneId);
+            // The zone_deleted subscriber removes the zone once the server confirms
+            outboundQueue.enqueue('delete_zone', { zoneId: zoneId }, { zoneId: zoneId });
           }
         }
       ]
@@ -355,13 +489,6 @@ const MainScreen = () => {
       return newSet;
     });
     
-    // Remove zone from deleting zones set
-    setDeletingZones(prev => {
-      const newSet = new Set(prev);
-      newSet.delete(zoneId);
-      return newSet;
-    });
-    
     // Remove zone logs for this zone
     setZoneLogs(prev => {
       const newLogs = { ...prev };
@@ -384,45 +511,6 @@ const MainScreen = () => {
     handleZoneLogsRequest(zone.id);
   };
 
-  // Add a state for tracking pending zones
-  const [pendingZones, setPendingZones] = useState(new Set());
-
-  // Add state and refs for tracking message handling
-  const [serverHealthStatus, setServerHealthStatus] = useState('unknown');
-
-  // Add a function to send WebSocket messages with tracking
-  const sendWebSocketMessage = useCallback((message) => {
-    if (socket && socket.readyState === WebSocketState.OPEN) {
-      try {
-        const messageStr = JSON.stringify(message);
-        socket.send(messageStr);
-        lastMessageSentTimeRef.current = Date.now();
-        
-        // Clear any existing timeout
-        if (messageResponseTimeoutRef.current) {
-          clearTimeout(messageResponseTimeoutRef.current);
-        }
-        
-        // Set a new timeout
-        messageResponseTimeoutRef.current = setTimeout(() => {
-          console.log('No response received for message within timeout period');
-          if (Date.now() - lastMessageReceivedTimeRef.current > 15000) {
-            console.log('Server appears to be stuck, forcing reconnect');
-            forceReconnect();
-          }
-        }, 15000);
-        
-        return true;
-      } catch (e) {
-        console.error('Error sending WebSocket message:', e);
-        return false;
-      }
-    } else {
-      console.warn('Cannot send message, WebSocket not connected');
-      return false;
-    }
-  }, [socket, forceReconnect]);
-
   // Modify handleNewZone to use sendWebSocketMessage
   const handleNewZone = useCallback((zoneData, skipWebSocketSend = false) => {
     console.log('Creating new zone:', zoneData);
@@ -437,279 +525,217 @@ const MainScreen = () => {
       return [...prev, zoneData];
     });
 
-    if (!skipWebSocketSend && socket && socket.readyState === WebSocketState.OPEN) {
-      const newZoneRequest = {
-        type: 'new_zone',
-        zone: zoneData
-      };
-      console.log('Sending new zone request:', newZoneRequest);
-      
-      const success = sendWebSocketMessage(newZoneRequest);
-      
-      if (success) {
-        console.log('Zone message sent to server');
-        setPendingZones(prev => new Set(prev).add(zoneData.id));
-      }
+    if (!skipWebSocketSend) {
+      console.log('Queueing new zone request for zone:', zoneData.id);
+      outboundQueue.enqueue('new_zone', { zone: zoneData }, { zoneId: zoneData.id });
     }
-  }, [socket, sendWebSocketMessage]);
+  }, [outboundQueue]);
 
-  // Connect to the WebSocket server
-  const connectWebSocket = useCallback(() => {
-    const now = Date.now();
-    const timeSinceLastAttempt = now - lastConnectionAttemptRef.current;
-    
-    // Prevent rapid reconnection attempts but use shorter interval for initial connection
-    if (timeSinceLastAttempt < 5000) {  // 5 seconds between attempts
-      console.log('Skipping connection attempt - too soon since last attempt');
-      return;
-    }
+  // Replace an edited zone, keeping its id so its logs stay with it
+  const handleZoneUpdate = useCallback((zoneData) => {
+    console.log('Updating zone:', zoneData);
+    setZones(prev => prev.map(zone => zone.id === zoneData.id ? zoneData : zone));
+    outboundQueue.enqueue('update_zone', { zone: zoneData }, { zoneId: zoneData.id });
+  }, [outboundQueue]);
 
-    if (isConnectingRef.current) {
-      console.log('Already attempting to connect, skipping duplicate attempt');
+  // Send the device config only when it differs from the last one sent
+  const lastDeviceConfigRef = useRef(null);
+  const handleSaveDeviceConfig = useCallback((newConfig) => {
+    const serialized = JSON.stringify(newConfig);
+    if (serialized === lastDeviceConfigRef.current) {
+      console.log('Device config unchanged, not sending');
       return;
     }
+    console.log('Saving new config:', newConfig);
+    lastDeviceConfigRef.current = serialized;
+    outboundQueue.enqueue('update_config', { config: newConfig });
+  }, [outboundQueue]);
 
-    if (connectionAttempts >= maxReconnectAttempts) {
-      console.log('Max reconnection attempts reached, waiting for manual reconnect');
-      setConnectionStatus('Max attempts reached');
-      return;
-    }
+  // Load queued changes from a previous session and replay them once connected
+  useEffect(() => {
+    outboundQueue.start().then(() => {
+      setZones(prev => mergeUnsyncedZones(prev));
+    });
+    return () => outboundQueue.stop();
+  }, [outboundQueue, mergeUnsyncedZones]);
 
-    try {
-      isConnectingRef.current = true;
-      lastConnectionAttemptRef.current = now;
-      
-      setConnectionStatus('Connecting...');
-      setStatusColor('#ffcc00');
-      
-      // Clear any existing retry timeout
-      if (retryTimeoutRef.current) {
-        clearTimeout(retryTimeoutRef.current);
-        retryTimeoutRef.current = null;
-      }
-      
-      console.log('Attempting to connect to WebSocket server...');
-      
-      // Create a new WebSocket instance
-      const ws = new WebSocket('ws://192.168.29.28:9001');
-      
-      // Set up event handlers
-      ws.onopen = () => {
-        console.log('WebSocket connected');
-        setConnectionStatus('Connected');
-        setStatusColor('#34c759');
-        setConnectionAttempts(0);
-        isConnectingRef.current = false;
-        setSocket(ws);
-        
-        // Add connection event to debug info
-        setDebugInfo(prev => ({
-          ...prev,
-          connectionEvents: [
-            ...prev.connectionEvents.slice(-9),
-            { event: 'Connected', time: new Date().toLocaleTimeString() }
-          ]
-        }));
-      };
-      
-      ws.onclose = (event) => {
-        const closeTime = Date.now();
-        console.log(`WebSocket disconnected, code: ${event.code}, reason: ${event.reason}`);
-        setSocket(null);
-        isConnectingRef.current = false;
-        
-        // Add connection event to debug info
-        setDebugInfo(prev => ({
-          ...prev,
-          connectionEvents: [
-            ...prev.connectionEvents.slice(-9),
-            { event: 'Disconnected', time: new Date().toLocaleTimeString() }
-          ]
-        }));
-        
-        // Skip reconnection if this is a normal closure or max attempts reached
-        if (event.code === 1000 || event.code === 1001 || connectionAttempts >= maxReconnectAttempts) {
-          setConnectionStatus('Disconnected');
-          setStatusColor('#ff3b30');
-          return;
+  // Failed changes that do not belong to a zone, like config updates
+  const failedQueueItems = useMemo(() => queueItems.filter(item =>
+    item.status === QueueItemStatus.FAILED && !(item.meta && item.meta.zoneId)
+  ), [queueItems]);
+
+  const handleQueueFailurePress = () => {
+    const item = failedQueueItems[0];
+    if (!item) return;
+
+    Alert.alert(
+      "Sync Failed",
+      `The ${item.type} change could not be sent: ${item.error || 'unknown error'}`,
+      [
+        {
+          text: "Discard",
+          style: "destructive",
+          onPress: () => outboundQueue.discard(item.id)
+        },
+        {
+          text: "Retry",
+          onPress: () => outboundQueue.retry(item.id)
         }
-        
-        // Only increment connection attempts once per disconnection
-        setConnectionAttempts(prev => prev + 1);
-        
-        // Use exponential backoff for retry with increased base delay
-        const retryDelay = Math.min(
-          5000 * Math.pow(1.5, connectionAttempts),  // Use 5 second base delay with slower growth
-          maxReconnectDelay
-        );
-        
-        setConnectionStatus(`Reconnecting in ${Math.round(retryDelay/1000)}s...`);
-        setStatusColor('#ffcc00');
-        
-        // Schedule reconnection after delay
-        console.log(`Scheduling reconnection in ${Math.round(retryDelay/1000)}s`);
-        retryTimeoutRef.current = setTimeout(() => {
-          connectWebSocket();
-        }, retryDelay);
-      };
-      
-      ws.onerror = (error) => {
-        console.error('WebSocket error:', error);
-        // Error handling is done in onclose
-      };
-      
-      // Rest of the onmessage handler remains unchanged
-      ws.onmessage = (event) => {
-        try {
-          const data = JSON.parse(event.data);
-          const messageType = data.type || "unknown";
-          lastMessageReceivedTimeRef.current = Date.now();
-          lastMessageTimeRef.current = Date.now();
-          
-          console.log('Received WebSocket message:', messageType);
-          
-          // Process the message based on its type
-          switch (messageType) {
-            case 'zones_response':
-              console.log('Received zones response:', data.zones);
-              if (data.zones) {
-                setZones(Object.values(data.zones));
-              }
-              break;
-              
-            case 'zone_deleted':
-              console.log('Received zone deletion confirmation:', data);
-              if (data.success && data.zoneId) {
-                handleZoneDeleteConfirmation(data.zoneId);
-              }
-              break;
-    
-            case 'zones_data':
-              console.log('Received updated zones data:', data.zones);
-              if (data.zones) {
-                setZones(Object.values(data.zones));
-              }
-              break;
-              
-            case 'zone_logs_response':
-              console.log('Received zone logs response');
-              if (data.logs) {
-                setZoneLogs(data.logs);
-                setReceivedZoneLogs(true);
-              }
-              break;
-              
-            case 'fall_logs_response':
-              console.log('Received fall logs response:', data);
-              if (data.logs) {
-                setFallLogs(data.logs);
-              }
-              break;
-              
-            case 'target_update':
-              if (data.targets) {
-                setTargets(data.targets);
-              }
-              break;
-              
-            case 'fall_event':
-              console.log('Received fall event:', data);
-              setShowFallAlert(true);
-              setNewFallDetected(true);
-              break;
-              
-            case 'zone_event':
-              console.log('Received zone event:', data);
-              break;
-              
-            case 'pong':
-              // Heartbeat response, just log it
-              console.log('Received pong response');
-              break;
-              
-            case 'error':
-              console.error('Received error from server:', data.error);
-              break;
-              
-            default:
-              console.log('Unhandled message type:', messageType);
+      ]
+    );
+  };
+
+  // Offer to retry or discard a change the server did not accept
+  const handleSyncFailurePress = (zone) => {
+    const item = zoneSyncItems[zone.id];
+    if (!item || item.status !== QueueItemStatus.FAILED) return;
+
+    Alert.alert(
+      "Sync Failed",
+      `Zone "${zone.name}" could not be synced: ${item.error || 'unknown error'}`,
+      [
+        {
+          text: "Discard",
+          style: "destructive",
+          onPress: () => {
+            outboundQueue.discard(item.id);
+            // A zone the server never accepted only exists locally
+            if (item.type === 'new_zone') {
+              setZones(prev => prev.filter(z => z.id !== zone.id));
+            }
+            // Go back to the server's copy of a rejected edit
+            if (item.type === 'update_zone') {
+              requestInBackground('request_zones');
+            }
           }
-        } catch (error) {
-          console.error('Error processing WebSocket message:', error);
+        },
+        {
+          text: "Retry",
+          onPress: () => outboundQueue.retry(item.id)
         }
-      };
-    } catch (error) {
-      console.error('Error setting up WebSocket:', error);
-      isConnectingRef.current = false;
-      setConnectionStatus('Connection Error');
-      setStatusColor('#ff3b30');
-      
-      // Schedule a retry with a short delay for initial connection attempts
-      setTimeout(() => {
-        connectWebSocket();
-      }, 3000);
-    }
-  }, [connectionAttempts, handleZoneDeleteConfirmation]);
+      ]
+    );
+  };
 
-  // Initial connection and cleanup
+  // Load the saved connection profile and credentials, then connect
   useEffect(() => {
     console.log('Initial connection useEffect running');
-    connectWebSocket();
+    let cancelled = false;
+
+    Promise.all([loadConnectionProfiles(), loadCredentials()]).then(([
+      { profiles, activeProfileId: savedActiveId },
+      savedCredentials
+    ]) => {
+      if (cancelled) return;
+      setConnectionProfiles(profiles);
+      setActiveProfileId(savedActiveId);
+      setCredentials(savedCredentials);
+
+      const activeProfile = profiles.find(profile => profile.id === savedActiveId);
+      radarClient.setUrl(buildSocketUrl(activeProfile));
+      radarClient.setCredentials(savedCredentials);
+      radarClient.connect();
+    });
     
     return () => {
-      if (socket) {
-        socket.close();
-      }
-      if (retryTimeoutRef.current) {
-        clearTimeout(retryTimeoutRef.current);
-      }
+      cancelled = true;
+      radarClient.disconnect();
     };
-  }, [connectWebSocket]);
+  }, [radarClient]);
 
-  // Force reconnect function
-  const forceReconnect = useCallback(() => {
-    console.log('Force reconnecting WebSocket...');
-    
-    // Close existing socket if it exists
-    if (socket) {
-      try {
-        socket.close(3001, 'Force reconnection');
-      } catch (e) {
-        console.error('Error closing socket for reconnect:', e);
+  // Pause reconnecting while the device has no network, and retry as soon as
+  // it comes back or moves to a different network
+  useEffect(() => {
+    let lastNetwork = null;
+    return NetInfo.addEventListener(state => {
+      // The radar lives on the local network, so internet reachability does not matter
+      const available = state.isConnected !== false;
+      const network = `${state.type}:${state.details ? state.details.ipAddress : ''}`;
+      console.log('Network state changed:', network, available ? 'connected' : 'offline');
+
+      if (!available) {
+        radarClient.setNetworkAvailable(false);
+      } else if (network !== lastNetwork) {
+        radarClient.setNetworkAvailable(true);
       }
-    }
-    
-    // Clear any existing retry timeout
-    if (retryTimeoutRef.current) {
-      clearTimeout(retryTimeoutRef.current);
-      retryTimeoutRef.current = null;
-    }
-    
-    // Reset connection state to prevent rapid reconnects
-    lastConnectionAttemptRef.current = Date.now() - 25000; // Allow reconnect after 5 more seconds
-    
-    // Reset connection attempts if we haven't tried too many times recently
-    if (connectionAttempts > 3) {
-      setConnectionAttempts(3); // Reset to a lower number but not 0
-    }
-    
-    // Schedule immediate reconnection
-    setTimeout(() => {
-      connectWebSocket();
-    }, 1000);
-  }, [socket, connectWebSocket]);
+      lastNetwork = available ? network : null;
+    });
+  }, [radarClient]);
 
-  // Reset connection attempts periodically - extend reset interval
+  // Save any recording in progress when the screen goes away
   useEffect(() => {
-    const resetTimer = setInterval(() => {
-      if (connectionStatus === 'Connected') {
-        // Only reset if we're connected
-        setConnectionAttempts(0);
-      }
-    }, 300000); // Reset every 5 minutes if connected (changed from every minute)
+    return () => {
+      sessionRecorder.stop().catch(error => {
+        console.error('Error saving recording on unmount:', error);
+      });
+      sessionPlayer.stop();
+    };
+  }, [sessionRecorder, sessionPlayer]);
+
+  // Sensor coverage is stored on the device, not the server
+  useEffect(() => {
+    loadSensorSettings().then(setSensorSettings);
+  }, []);
+
+  const handleSaveSensorSettings = useCallback((settings) => {
+    setSensorSettings(settings);
+    saveSensorSettings(settings);
+  }, []);
+
+  // So is the floor plan
+  useEffect(() => {
+    loadFloorPlan().then(setFloorPlan);
+  }, []);
+
+  const handleFloorPlanChange = useCallback((plan) => {
+    setFloorPlan(plan);
+    saveFloorPlan(plan);
+  }, []);
+
+  // Tapping the status indicator retries the connection straight away
+  const handleStatusPress = useCallback(() => {
+    switch (radarStatus.state) {
+      case ConnectionState.CONNECTED:
+      case ConnectionState.CONNECTING:
+      case ConnectionState.AUTHENTICATING:
+      case ConnectionState.NEGOTIATING:
+      case ConnectionState.REPLAYING:
+        return;
+      case ConnectionState.OFFLINE:
+        Alert.alert(
+          "No Network",
+          "The device is offline. The app will reconnect when the network is back.",
+          [{ text: "OK" }]
+        );
+        return;
+      default:
+        radarClient.retryNow();
+    }
+  }, [radarClient, radarStatus]);
+
+  const handleSaveCredentials = useCallback((newCredentials) => {
+    setCredentials(newCredentials);
+    saveCredentials(newCredentials);
+    radarClient.setCredentials(newCredentials);
+  }, [radarClient]);
+
+  const handleSignOut = useCallback(() => {
+    setCredentials(null);
+    clearCredentials();
+    radarClient.setCredentials(null);
+  }, [radarClient]);
 
-    return () => clearInterval(resetTimer);
-  }, [connectionStatus]);
+  // Persist edited profiles and reconnect if the active endpoint changed
+  const handleSaveConnectionProfiles = useCallback((profiles, profileId) => {
+    setConnectionProfiles(profiles);
+    setActiveProfileId(profileId);
+    saveConnectionProfiles(profiles, profileId);
+
+    const activeProfile = profiles.find(profile => profile.id === profileId);
+    if (radarClient.setUrl(buildSocketUrl(activeProfile))) {
+      console.log(`Reconnecting to connection profile "${activeProfile.name}"`);
+    }
+  }, [radarClient]);
 
   const formatTimestamp = (timestamp) => {
     const date = new Date(timestamp);
@@ -764,15 +790,16 @@ const MainScreen = () => {
 
   // Add fall logs request handler
   const handleFallLogsRequest = () => {
-    if (socket && socket.readyState === WebSocketState.OPEN) {
+    if (!supportsFallDetection) return;
+
+    if (radarClient.isOpen()) {
       console.log('Sending fall logs request...');
       const requestData = {
-        type: 'fall_logs',
         start_time: Date.now() - (24 * 60 * 60 * 1000), // Last 24 hours
         end_time: Date.now()
       };
       console.log('Request data:', requestData);
-      sendWebSocketMessage(requestData);
+      requestInBackground('fall_logs', requestData);
     } else {
       console.log('Cannot send fall logs request: WebSocket not connected');
     }
@@ -794,48 +821,34 @@ const MainScreen = () => {
 
   // Add handler for zone logs request
   const handleZoneLogsRequest = (zoneId) => {
-    if (socket && socket.readyState === WebSocketState.OPEN) {
+    if (!supportsZoneLogs) return;
+
+    if (radarClient.isOpen()) {
       console.log('Sending zone logs request for zone:', zoneId);
       const requestData = {
-        type: 'request_logs',
         zone_id: zoneId
       };
       console.log('Request data:', requestData);
-      sendWebSocketMessage(requestData);
+      requestInBackground('request_logs', requestData);
     } else {
       console.log('Cannot send zone logs request: WebSocket not connected');
     }
   };
 
-  // Add a specific function to handle when a long period passes without zones being confirmed
-  useEffect(() => {
-    if (pendingZones.size > 0 && connectionStatus === 'Connected') {
-      // If zones are pending too long, try a more aggressive approach
-      const longPendingTimeout = setTimeout(() => {
-        if (pendingZones.size > 0) {
-          console.log(`Zones pending for too long (${pendingZones.size} zones), forcing server reconnection`);
-          forceReconnect();
-        }
-      }, 30000); // After 30 seconds of pending zones
-      
-      return () => clearTimeout(longPendingTimeout);
-    }
-  }, [pendingZones, connectionStatus, forceReconnect]);
-
   // Add ensureDataIsLoaded function before the return statement
   const ensureDataIsLoaded = useCallback(() => {
     console.log('Ensuring data is loaded...');
-    if (socket && socket.readyState === WebSocketState.OPEN) {
+    if (radarClient.isOpen()) {
       // Request zones if none are loaded
       if (zones.length === 0) {
         console.log('No zones loaded, requesting from server...');
-        sendWebSocketMessage({ type: 'request_zones' });
+        requestInBackground('request_zones');
       }
       
       // Request logs if not received
-      if (!receivedZoneLogs) {
+      if (!receivedZoneLogs && supportsZoneLogs) {
         console.log('No logs received, requesting from server...');
-        sendWebSocketMessage({ type: 'request_logs' });
+        requestInBackground('request_logs');
       }
       
       // Request fall logs
@@ -846,18 +859,18 @@ const MainScreen = () => {
     } else {
       console.log('Cannot load data: WebSocket not connected');
       // Try to reconnect if socket is closed
-      if (!socket || socket.readyState === WebSocketState.CLOSED) {
+      if (radarStatus.state !== ConnectionState.CONNECTING) {
         console.log('Attempting to reconnect...');
         forceReconnect();
       }
     }
-  }, [socket, zones.length, receivedZoneLogs, sendWebSocketMessage, forceReconnect, handleFallLogsRequest]);
+  }, [radarClient, radarStatus, zones.length, receivedZoneLogs, supportsZoneLogs, sendWebSocketMessage, requestInBackground, forceReconnect, handleFallLogsRequest]);
 
   const toggleFallDetection = () => {
     setNewFallDetected(false);
     setActiveView('fall');
     
-    if (socket && socket.readyState === WebSocketState.OPEN) {
+    if (radarClient.isOpen()) {
       // Request fresh fall logs when switching to this view
       handleFallLogsRequest();
     }
@@ -876,21 +889,48 @@ const MainScreen = () => {
           <Text style={styles.mainTitle}>Sentinel</Text>
         </View>
         <View style={styles.headerActions}>
-          <View style={styles.statusIndicator}>
+          <TouchableOpacity style={styles.statusIndicator} onPress={handleStatusPress}>
             <View style={[styles.statusDot, { backgroundColor: statusColor }]} />
             <Text style={styles.statusText}>{connectionStatus}</Text>
-          </View>
+          </TouchableOpacity>
         </View>
       </View>
 
+      <ReplayControls player={sessionPlayer} />
+
+      {radarStatus.state === ConnectionState.OFFLINE && (
+        <View style={styles.offlineBanner}>
+          <Text style={styles.offlineBannerText}>
+            No network connection. Showing the last known data until the device is back online.
+          </Text>
+        </View>
+      )}
+
+      {failedQueueItems.length > 0 && (
+        <TouchableOpacity style={styles.offlineBanner} onPress={handleQueueFailurePress}>
+          <Text style={styles.offlineBannerText}>
+            {failedQueueItems.length === 1
+              ? '1 change could not be sent to the radar. Tap to retry or discard.'
+              : `${failedQueueItems.length} changes could not be sent to the radar. Tap to retry or discard.`}
+          </Text>
+        </TouchableOpacity>
+      )}
+
       <View style={styles.radarContainer}>
         <View style={{ flex: 1, width: '100%', height: '100%' }}>
           <RadarVisualization 
             targets={targets} 
-            socket={socket} 
-            onZoneCreated={handleNewZone}
+            targetPositions={targetPositions}
+            onZoneCreated={isReplaying ? undefined : handleNewZone}
+            onZoneUpdated={supportsZoneEditing && !isReplaying ? handleZoneUpdate : undefined}
             zones={zones}
             isTargetInZone={isTargetInZone}
+            smoothingLevel={smoothingLevel}
+            onSmoothingChange={setSmoothingLevel}
+            sensorSettings={sensorSettings}
+            heatmap={occupancyHeatmap}
+            floorPlan={floorPlan}
+            onFloorPlanChange={handleFloorPlanChange}
           />
         </View>
       </View>
@@ -906,23 +946,40 @@ const MainScreen = () => {
             </Text>
           </TouchableOpacity>
           <TouchableOpacity 
-            style={[
-              styles.toggleButton,
-              activeView === 'fall' ? styles.toggleButtonActive : null,
-              newFallDetected ? styles.toggleButtonFallAlert : null
-            ]}
-            onPress={toggleFallDetection}
+            style={[styles.toggleButton, activeView === 'height' && styles.toggleButtonActive]}
+            onPress={() => setActiveView('height')}
           >
-            <Text style={[
-              styles.toggleButtonText, 
-              activeView === 'fall' && styles.toggleButtonTextActive
-            ]}>
-              Fall Detection {newFallDetected ? '!' : ''}
+            <Text style={[styles.toggleButtonText, activeView === 'height' && styles.toggleButtonTextActive]}>
+              Height
             </Text>
           </TouchableOpacity>
+          {supportsFallDetection && (
+            <TouchableOpacity 
+              style={[
+                styles.toggleButton,
+                activeView === 'fall' ? styles.toggleButtonActive : null,
+                newFallDetected ? styles.toggleButtonFallAlert : null
+              ]}
+              onPress={toggleFallDetection}
+            >
+              <Text style={[
+                styles.toggleButtonText, 
+                activeView === 'fall' && styles.toggleButtonTextActive
+              ]}>
+                Fall Detection {newFallDetected ? '!' : ''}
+              </Text>
+            </TouchableOpacity>
+          )}
         </View>
 
-        {activeView === 'zones' ? (
+        {activeView === 'height' ? (
+          <View style={styles.zonesContainer}>
+            <Text style={styles.zonesTitle}>Height</Text>
+            <ScrollView style={styles.zonesScroll}>
+              <HeightPanel heights={targetHeights} lastFall={lastFall} />
+            </ScrollView>
+          </View>
+        ) : activeView === 'zones' || !supportsFallDetection ? (
           <View style={styles.zonesContainer}>
             <Text style={styles.zonesTitle}>Zones</Text>
             <ScrollView style={styles.zonesScroll}>
@@ -945,10 +1002,27 @@ const MainScreen = () => {
                     ]}>
                       {zone.name}
                     </Text>
-                    {deletingZones.has(zone.id) && (
+                    {deletingZones.has(zone.id) ? (
                       <View style={styles.loadingIndicator}>
                         <ActivityIndicator size="small" color="#ff3b30" />
                       </View>
+                    ) : (
+                      <TouchableOpacity
+                        style={[
+                          styles.zoneSyncBadge,
+                          zoneSyncItems[zone.id] && zoneSyncItems[zone.id].status === QueueItemStatus.FAILED
+                            ? styles.zoneSyncBadgeFailed
+                            : zoneSyncItems[zone.id] ? styles.zoneSyncBadgePending : styles.zoneSyncBadgeSynced
+                        ]}
+                        onPress={() => handleSyncFailurePress(zone)}
+                        disabled={!zoneSyncItems[zone.id] || zoneSyncItems[zone.id].status !== QueueItemStatus.FAILED}
+                      >
+                        <Text style={styles.zoneSyncText}>
+                          {zoneSyncItems[zone.id]
+                            ? (zoneSyncItems[zone.id].status === QueueItemStatus.FAILED ? 'Failed' : 'Pending')
+                            : 'Synced'}
+                        </Text>
+                      </TouchableOpacity>
                     )}
                   </TouchableOpacity>
                 ))
@@ -1009,7 +1083,13 @@ const MainScreen = () => {
               </TouchableOpacity>
             </View>
             <View style={styles.menuOptions}>
-              <TouchableOpacity style={styles.menuOption}>
+              <TouchableOpacity 
+                style={styles.menuOption}
+                onPress={() => {
+                  setShowMenu(false);
+                  setShowAccount(true);
+                }}
+              >
                 <Text style={styles.menuOptionText}>Account</Text>
               </TouchableOpacity>
               <TouchableOpacity 
@@ -1021,6 +1101,33 @@ const MainScreen = () => {
               >
                 <Text style={styles.menuOptionText}>Device</Text>
               </TouchableOpacity>
+              <TouchableOpacity 
+                style={styles.menuOption}
+                onPress={() => {
+                  setShowMenu(false);
+                  setShowDiagnostics(true);
+                }}
+              >
+                <Text style={styles.menuOptionText}>Diagnostics</Text>
+              </TouchableOpacity>
+              <TouchableOpacity 
+                style={styles.menuOption}
+                onPress={() => {
+                  setShowMenu(false);
+                  setShowRecordings(true);
+                }}
+              >
+                <Text style={styles.menuOptionText}>Recordings</Text>
+              </TouchableOpacity>
+              <TouchableOpacity 
+                style={styles.menuOption}
+                onPress={() => {
+                  setShowMenu(false);
+                  setShowFloorPlan(true);
+                }}
+              >
+                <Text style={styles.menuOptionText}>Floor Plan</Text>
+              </TouchableOpacity>
             </View>
             <View style={styles.menuFooter}>
               <Text style={styles.menuFooterText}>SanAura</Text>
@@ -1071,21 +1178,112 @@ const MainScreen = () => {
             config={{
               fall_detection_enabled: true,
               sensitivity: 50,
-              frame_time: 55,
-              websocket_host: '192.168.29.28',
-              websocket_port: 9001
+              frame_time: 55
             }}
             onSaveConfig={(newConfig) => {
-              console.log('Saving new config:', newConfig);
-              if (socket && socket.readyState === WebSocketState.OPEN) {
-                sendWebSocketMessage({
-                  type: 'update_config',
-                  config: newConfig
-                });
-              }
+              handleSaveDeviceConfig(newConfig);
               setShowDeviceSettings(false);
             }}
-            wsClient={socket}
+            radarClient={radarClient}
+            fallDetectionSupported={supportsFallDetection}
+            profiles={connectionProfiles}
+            activeProfileId={activeProfileId}
+            onSaveProfiles={handleSaveConnectionProfiles}
+            sensorSettings={sensorSettings}
+            onSaveSensorSettings={handleSaveSensorSettings}
+          />
+        </SafeAreaView>
+      </Modal>
+
+      <Modal
+        visible={showAccount}
+        animationType="slide"
+        transparent={false}
+        onRequestClose={() => setShowAccount(false)}
+      >
+        <SafeAreaView style={styles.deviceSettingsContainer}>
+          <View style={styles.deviceSettingsHeader}>
+            <Text style={styles.deviceSettingsTitle}>Account</Text>
+            <TouchableOpacity 
+              style={styles.closeButton}
+              onPress={() => setShowAccount(false)}
+            >
+              <Text style={styles.closeButtonText}>×</Text>
+            </TouchableOpacity>
+          </View>
+          <AccountSettings
+            credentials={credentials}
+            radarStatus={radarStatus}
+            onSaveCredentials={handleSaveCredentials}
+            onSignOut={handleSignOut}
+          />
+        </SafeAreaView>
+      </Modal>
+
+      <Modal
+        visible={showDiagnostics}
+        animationType="slide"
+        transparent={false}
+        onRequestClose={() => setShowDiagnostics(false)}
+      >
+        <SafeAreaView style={styles.deviceSettingsContainer}>
+          <View style={styles.deviceSettingsHeader}>
+            <Text style={styles.deviceSettingsTitle}>Diagnostics</Text>
+            <TouchableOpacity 
+              style={styles.closeButton}
+              onPress={() => setShowDiagnostics(false)}
+            >
+              <Text style={styles.closeButtonText}>×</Text>
+            </TouchableOpacity>
+          </View>
+          <Diagnostics radarClient={radarClient} radarStatus={radarStatus} />
+        </SafeAreaView>
+      </Modal>
+
+      <Modal
+        visible={showRecordings}
+        animationType="slide"
+        transparent={false}
+        onRequestClose={() => setShowRecordings(false)}
+      >
+        <SafeAreaView style={styles.deviceSettingsContainer}>
+          <View style={styles.deviceSettingsHeader}>
+            <Text style={styles.deviceSettingsTitle}>Recordings</Text>
+            <TouchableOpacity 
+              style={styles.closeButton}
+              onPress={() => setShowRecordings(false)}
+            >
+              <Text style={styles.closeButtonText}>×</Text>
+            </TouchableOpacity>
+          </View>
+          <Recordings
+            recorder={sessionRecorder}
+            player={sessionPlayer}
+            zones={zones}
+            onStartReplay={() => setShowRecordings(false)}
+          />
+        </SafeAreaView>
+      </Modal>
+
+      <Modal
+        visible={showFloorPlan}
+        animationType="slide"
+        transparent={false}
+        onRequestClose={() => setShowFloorPlan(false)}
+      >
+        <SafeAreaView style={styles.deviceSettingsContainer}>
+          <View style={styles.deviceSettingsHeader}>
+            <Text style={styles.deviceSettingsTitle}>Floor Plan</Text>
+            <TouchableOpacity 
+              style={styles.closeButton}
+              onPress={() => setShowFloorPlan(false)}
+            >
+              <Text style={styles.closeButtonText}>×</Text>
+            </TouchableOpacity>
+          </View>
+          <FloorPlanEditor
+            floorPlan={floorPlan}
+            onSave={handleFloorPlanChange}
           />
         </SafeAreaView>
       </Modal>
@@ -0,0 +1,140 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Builds up how long targets spend in each cell of a grid over the radar plane.
+// Time is kept in buckets so the map can be shown for different windows, and
+// is persisted so it keeps building across app restarts.
+
+export const HEATMAP_CELL_SIZE = 0.25; // Metres
+
+export const HEATMAP_WINDOWS = [
+  { id: 'hour', label: 'Last hour' },
+  { id: 'today', label: 'Today' },
+  { id: 'week', label: 'Last 7 days' }
+];
+
+const STORAGE_KEY = '@sentinel/occupancy_heatmap';
+const BUCKET_SIZE = 10 * 60 * 1000; // Dwell time is grouped into 10 minute buckets
+const RETENTION = 7 * 24 * 60 * 60 * 1000;
+const MAX_FRAME_GAP = 1000; // Gaps between frames longer than this are not counted
+const SAVE_INTERVAL = 60000;
+
+const windowStart = (windowId, now) => {
+  switch (windowId) {
+    case 'hour':
+      return now - 60 * 60 * 1000;
+    case 'today': {
+      const midnight = new Date(now);
+      midnight.setHours(0, 0, 0, 0);
+      return midnight.getTime();
+    }
+    default:
+      return now - RETENTION;
+  }
+};
+
+class OccupancyHeatmap {
+  constructor() {
+    // bucket start time -> { "ix,iy": seconds }
+    this.buckets = new Map();
+    this.lastFrameAt = null;
+    this.dirty = false;
+    this.saveTimer = null;
+  }
+
+  async start() {
+    try {
+      const stored = await AsyncStorage.getItem(STORAGE_KEY);
+      if (stored) {
+        JSON.parse(stored).forEach(([bucketStart, cells]) => {
+          this.buckets.set(bucketStart, { ...cells, ...this.buckets.get(bucketStart) });
+        });
+      }
+    } catch (error) {
+      console.error('OccupancyHeatmap: Error loading heatmap:', error);
+    }
+    this.prune(Date.now());
+    this.saveTimer = setInterval(() => this.save(), SAVE_INTERVAL);
+  }
+
+  stop() {
+    clearInterval(this.saveTimer);
+    this.saveTimer = null;
+    this.save();
+  }
+
+  async save() {
+    if (!this.dirty) return;
+    this.dirty = false;
+    try {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify([...this.buckets.entries()]));
+    } catch (error) {
+      console.error('OccupancyHeatmap: Error saving heatmap:', error);
+    }
+  }
+
+  // Credit each target's cell with the time since the previous frame
+  record(targets, now = Date.now()) {
+    const gap = this.lastFrameAt === null ? 0 : now - this.lastFrameAt;
+    this.lastFrameAt = now;
+    if (gap <= 0 || gap > MAX_FRAME_GAP || targets.length === 0) return;
+
+    const bucketStart = now - (now % BUCKET_SIZE);
+    if (!this.buckets.has(bucketStart)) {
+      this.buckets.set(bucketStart, {});
+      this.prune(now);
+    }
+    const cells = this.buckets.get(bucketStart);
+    targets.forEach(target => {
+      const key = `${Math.floor(target.x / HEATMAP_CELL_SIZE)},${Math.floor(target.y / HEATMAP_CELL_SIZE)}`;
+      cells[key] = (cells[key] || 0) + gap / 1000;
+    });
+    this.dirty = true;
+  }
+
+  prune(now) {
+    this.buckets.forEach((cells, bucketStart) => {
+      if (bucketStart < now - RETENTION - BUCKET_SIZE) {
+        this.buckets.delete(bucketStart);
+        this.dirty = true;
+      }
+    });
+  }
+
+  reset() {
+    this.buckets.clear();
+    this.dirty = true;
+    this.save();
+  }
+
+  // Returns { cellSize, cells: [{ x, y, seconds }], max } for a window, where
+  // x and y are the corner of each cell closest to the origin
+  getGrid(windowId, now = Date.now()) {
+    const since = windowStart(windowId, now);
+    const totals = {};
+    this.buckets.forEach((cells, bucketStart) => {
+      if (bucketStart + BUCKET_SIZE <= since) return;
+      Object.entries(cells).forEach(([key, seconds]) => {
+        totals[key] = (totals[key] || 0) + seconds;
+      });
+    });
+
+    let max = 0;
+    const cells = Object.entries(totals).map(([key, seconds]) => {
+      const [ix, iy] = key.split(',').map(Number);
+      max = Math.max(max, seconds);
+      return { x: ix * HEATMAP_CELL_SIZE, y: iy * HEATMAP_CELL_SIZE, seconds };
+    });
+    return { cellSize: HEATMAP_CELL_SIZE, cells, max };
+  }
+
+  // CSV of the grid for a window, one row per occupied cell
+  exportCsv(windowId, now = Date.now()) {
+    const { cellSize, cells } = this.getGrid(windowId, now);
+    const rows = cells
+      .sort((a, b) => a.y - b.y || a.x - b.x)
+      .map(cell => `${cell.x},${cell.y},${cell.x + cellSize},${cell.y + cellSize},${cell.seconds.toFixed(1)}`);
+    return ['x_min_m,y_min_m,x_max_m,y_max_m,seconds', ...rows].join('\n');
+  }
+}
+
+export default OccupancyHeatmap;
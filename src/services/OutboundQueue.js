@@ -0,0 +1,188 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { ConnectionState, RadarRequestError, RESPONSE_TYPES } from './RadarClient';
+
+// Persistent queue for mutations (zone and config changes) sent through a
+// RadarClient. Items are replayed in order whenever the client is connected and
+// only removed once the server acknowledges them, or once sent for types the
+// server never replies to. Items the server rejects, or that time out too often,
+// stay in the queue as failed until retried or discarded.
+
+export const QueueItemStatus = {
+  PENDING: 'pending',
+  FAILED: 'failed'
+};
+
+const DEFAULT_OPTIONS = {
+  storageKey: '@sentinel/outbound_queue',
+  maxAttempts: 5,
+  retryDelay: 10000
+};
+
+class OutboundQueue {
+  constructor(client, options = {}) {
+    this.client = client;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.items = [];
+    this.listeners = new Set();
+    this.flushing = false;
+    this.retryTimer = null;
+    this.itemCounter = 0;
+    this.loaded = false;
+    this.unsubscribeStatus = null;
+  }
+
+  // Restore persisted items and start replaying them whenever the client connects
+  async start() {
+    try {
+      const stored = await AsyncStorage.getItem(this.options.storageKey);
+      const storedItems = stored ? JSON.parse(stored) : [];
+      if (Array.isArray(storedItems)) {
+        // Anything enqueued before loading finished goes after the restored items
+        this.items = [...storedItems, ...this.items];
+        this.notify();
+      }
+    } catch (error) {
+      console.error('OutboundQueue: Error loading queue:', error);
+    }
+    this.loaded = true;
+    this.persist();
+
+    this.unsubscribeStatus = this.client.onStatusChange((status) => {
+      if (status.state === ConnectionState.CONNECTED) {
+        this.flush();
+      }
+    });
+  }
+
+  stop() {
+    if (this.unsubscribeStatus) {
+      this.unsubscribeStatus();
+      this.unsubscribeStatus = null;
+    }
+    this.clearRetryTimer();
+  }
+
+  // Register a listener for queue changes, called immediately with the current items
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.items);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Queue a request for delivery. `meta` is kept with the item for the UI,
+  // e.g. the zone it belongs to.
+  enqueue(type, payload = {}, meta = {}) {
+    this.itemCounter += 1;
+    const item = {
+      id: `${type}_${Date.now()}_${this.itemCounter}`,
+      type,
+      payload,
+      meta,
+      status: QueueItemStatus.PENDING,
+      attempts: 0,
+      error: null,
+      createdAt: new Date().toISOString()
+    };
+
+    this.setItems([...this.items, item]);
+    this.flush();
+    return item;
+  }
+
+  retry(itemId) {
+    this.updateItem(itemId, { status: QueueItemStatus.PENDING, attempts: 0, error: null });
+    this.flush();
+  }
+
+  discard(itemId) {
+    this.setItems(this.items.filter(item => item.id !== itemId));
+  }
+
+  // Send pending items one at a time, in the order they were queued. Nothing is
+  // sent until the stored items are restored, so they keep their place in line.
+  async flush() {
+    if (!this.loaded || this.flushing || !this.client.isOpen()) return;
+
+    this.flushing = true;
+    this.clearRetryTimer();
+
+    try {
+      let item = this.nextPending();
+      while (item && this.client.isOpen()) {
+        try {
+          await this.deliver(item);
+          console.log(`OutboundQueue: ${item.type} delivered`);
+          this.discard(item.id);
+        } catch (error) {
+          const attempts = item.attempts + 1;
+
+          if (error.code === 'server_error' || attempts >= this.options.maxAttempts) {
+            console.error(`OutboundQueue: ${item.type} failed:`, error.message);
+            this.updateItem(item.id, { status: QueueItemStatus.FAILED, attempts, error: error.message });
+          } else {
+            // Keep the order intact: stop here and replay from this item later
+            console.log(`OutboundQueue: ${item.type} not acknowledged (${error.code}), retrying later`);
+            this.updateItem(item.id, { attempts, error: error.message });
+            this.retryTimer = setTimeout(() => this.flush(), this.options.retryDelay);
+            break;
+          }
+        }
+        item = this.nextPending();
+      }
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  // Wait for the server's reply, or just hand the item to an open socket if none comes
+  deliver(item) {
+    if (RESPONSE_TYPES[item.type]) {
+      return this.client.request(item.type, item.payload);
+    }
+    return this.client.send({ ...item.payload, type: item.type })
+      ? Promise.resolve()
+      : Promise.reject(new RadarRequestError('not_connected', 'WebSocket not connected'));
+  }
+
+  nextPending() {
+    return this.items.find(item => item.status === QueueItemStatus.PENDING);
+  }
+
+  updateItem(itemId, changes) {
+    this.setItems(this.items.map(item => (item.id === itemId ? { ...item, ...changes } : item)));
+  }
+
+  setItems(items) {
+    this.items = items;
+    this.persist();
+    this.notify();
+  }
+
+  persist() {
+    // Writing before the stored queue is loaded would overwrite it
+    if (!this.loaded) return;
+
+    AsyncStorage.setItem(this.options.storageKey, JSON.stringify(this.items)).catch(error => {
+      console.error('OutboundQueue: Error saving queue:', error);
+    });
+  }
+
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.items);
+      } catch (error) {
+        console.error('OutboundQueue: Error in listener:', error);
+      }
+    });
+  }
+
+  clearRetryTimer() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+}
+
+export default OutboundQueue;
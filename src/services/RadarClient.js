@@ -0,0 +1,784 @@
+import { buildHelloMessage, legacyServerInfo, parseHelloResponse } from './protocol';
+import { createValidationReport, recordValidation, validateMessage } from './messageSchemas';
+import {
+  createConnectionMetrics,
+  recordConnectionEvent,
+  recordMessage,
+  recordPingSent,
+  recordPong,
+  summarizeMetrics
+} from './connectionMetrics';
+import SimulatedRadarSocket, { isSimulatorUrl } from './RadarSimulator';
+
+// Standalone client for the radar WebSocket server. Owns the socket, reconnect
+// backoff, heartbeat and the authentication and hello handshakes, and
+// dispatches incoming messages by their `type` to whoever subscribed to it.
+
+export const WebSocketState = {
+  CONNECTING: 0,
+  OPEN: 1,
+  CLOSING: 2,
+  CLOSED: 3
+};
+
+export const ConnectionState = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  AUTHENTICATING: 'authenticating',
+  NEGOTIATING: 'negotiating',
+  CONNECTED: 'connected',
+  AUTH_FAILED: 'auth_failed',
+  RECONNECTING: 'reconnecting',
+  DISCONNECTED: 'disconnected',
+  FAILED: 'failed',
+  ERROR: 'error',
+  OFFLINE: 'offline',
+  REPLAYING: 'replaying'
+};
+
+// Subscribe with this type to receive every incoming message
+export const ANY_MESSAGE = '*';
+
+// Reply type the server sends for each request type. Types missing here, like
+// update_config, are applied by the server without a reply.
+export const RESPONSE_TYPES = {
+  request_zones: 'zones_response',
+  request_logs: 'zone_logs_response',
+  new_zone: 'zones_data',
+  update_zone: 'zones_data',
+  delete_zone: 'zone_deleted',
+  fall_logs: 'fall_logs_response',
+  request_fall_detection_settings: 'fall_detection_settings',
+  update_fall_detection_settings: 'fall_detection_update'
+};
+
+// Rejection reason for request(), `code` is one of
+// 'not_connected', 'timeout', 'disconnected' or 'server_error'
+export class RadarRequestError extends Error {
+  constructor(code, message, response = null) {
+    super(message);
+    this.name = 'RadarRequestError';
+    this.code = code;
+    this.response = response;
+  }
+}
+
+// A reply that carries a failure flag rather than a separate error message
+const isFailedResponse = (data) =>
+  data.success === false || data.status === 'error' || data.status === 'failed';
+
+const DEFAULT_OPTIONS = {
+  url: null,
+  maxReconnectAttempts: 5,
+  baseReconnectDelay: 5000,
+  maxReconnectDelay: 30000,
+  minAttemptInterval: 5000, // Minimum time between connection attempts
+  heartbeatInterval: 30000,
+  idleTimeout: 120000, // Force a reconnect if nothing arrives for this long
+  requestTimeout: 15000,
+  authTimeout: 10000,
+  helloTimeout: 3000, // Servers that do not answer the hello in time are treated as legacy firmware
+  // { method: 'token' | 'pairing_code', value }, sent as an `auth` message right after connecting
+  credentials: null,
+  // Opens the socket for a URL; sim:// URLs get the built-in simulator.
+  // Tests can pass their own factory to run the client against a mock.
+  createSocket: (url) => (isSimulatorUrl(url) ? new SimulatedRadarSocket(url) : new WebSocket(url))
+};
+
+// Custom close codes used by the client
+const CLOSE_AUTH_TIMEOUT = 4000;
+const CLOSE_AUTH_FAILED = 4003;
+
+// Hosts on the device or the local network, where a plain ws:// sensor is expected
+const LOCAL_HOST_PATTERNS = [
+  /^localhost$/,
+  /\.local$/,
+  /^127\./,
+  /^10\./,
+  /^192\.168\./,
+  /^172\.(1[6-9]|2\d|3[01])\./,
+  /^169\.254\./,
+  /^\[?::1\]?$/
+];
+
+// Credentials only go out over wss://, the simulator or a local network address
+export const canSendCredentials = (url) => {
+  if (!url || isSimulatorUrl(url)) return true;
+  const match = /^(wss?):\/\/(\[[^\]]+\]|[^:/]+)/i.exec(url);
+  if (!match) return false;
+  if (match[1].toLowerCase() === 'wss') return true;
+  const host = match[2].toLowerCase();
+  return LOCAL_HOST_PATTERNS.some(pattern => pattern.test(host));
+};
+
+const buildAuthMessage = ({ method, value }) => (
+  method === 'pairing_code'
+    ? { type: 'auth', pairing_code: value }
+    : { type: 'auth', token: value }
+);
+
+class RadarClient {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.socket = null;
+    this.status = { state: ConnectionState.IDLE, attempts: 0 };
+    this.reconnectAttempts = 0;
+    this.retryTimeout = null;
+    this.heartbeatTimer = null;
+    this.authTimer = null;
+    this.helloTimer = null;
+    this.serverInfo = null;
+    this.networkAvailable = true;
+    this.validationReport = createValidationReport();
+    this.metrics = createConnectionMetrics();
+    this.lastConnectionAttempt = 0;
+    this.lastMessageTime = 0;
+    this.messageHandlers = new Map();
+    this.statusHandlers = new Set();
+    this.rawHandlers = new Set();
+    this.pendingRequests = new Map();
+    this.requestCounter = 0;
+  }
+
+  // Register a handler for one message type, returns an unsubscribe function
+  subscribe(type, handler) {
+    if (!this.messageHandlers.has(type)) {
+      this.messageHandlers.set(type, new Set());
+    }
+    this.messageHandlers.get(type).add(handler);
+    return () => this.unsubscribe(type, handler);
+  }
+
+  unsubscribe(type, handler) {
+    const handlers = this.messageHandlers.get(type);
+    if (handlers) {
+      handlers.delete(handler);
+      if (handlers.size === 0) {
+        this.messageHandlers.delete(type);
+      }
+    }
+  }
+
+  // Register a handler for every raw frame received from the socket, before it is
+  // parsed or validated. Replayed messages are not passed on.
+  onRawMessage(handler) {
+    this.rawHandlers.add(handler);
+    return () => this.rawHandlers.delete(handler);
+  }
+
+  // Register a connection status listener, called immediately with the current status
+  onStatusChange(handler) {
+    this.statusHandlers.add(handler);
+    handler(this.status);
+    return () => this.statusHandlers.delete(handler);
+  }
+
+  // True once the socket is open and, if credentials are set, the session is confirmed
+  isOpen() {
+    return this.isSocketOpen() && this.status.state === ConnectionState.CONNECTED;
+  }
+
+  isSocketOpen() {
+    return !!this.socket && this.socket.readyState === WebSocketState.OPEN;
+  }
+
+  send(message) {
+    if (!this.isOpen()) {
+      console.warn('RadarClient: Cannot send message, WebSocket not connected');
+      return false;
+    }
+    return this.sendRaw(message);
+  }
+
+  sendRaw(message) {
+    try {
+      this.socket.send(JSON.stringify(message));
+      return true;
+    } catch (error) {
+      console.error('RadarClient: Error sending message:', error);
+      return false;
+    }
+  }
+
+  // Send a request tagged with a correlation id and resolve with the matching reply.
+  // Rejects with a RadarRequestError on timeout, disconnect or a server error.
+  request(type, payload = {}, { timeout = this.options.requestTimeout, responseType = RESPONSE_TYPES[type] } = {}) {
+    if (!responseType) {
+      return Promise.reject(new Error(`No response type known for request "${type}"`));
+    }
+    if (!this.isOpen()) {
+      return Promise.reject(new RadarRequestError('not_connected', 'WebSocket not connected'));
+    }
+
+    this.requestCounter += 1;
+    const requestId = `req_${Date.now()}_${this.requestCounter}`;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        reject(new RadarRequestError('timeout', `No ${responseType} received for ${type} within ${timeout}ms`));
+      }, timeout);
+
+      this.pendingRequests.set(requestId, { type, responseType, resolve, reject, timer });
+
+      if (!this.send({ ...payload, type, request_id: requestId })) {
+        this.settleRequest(requestId, new RadarRequestError('not_connected', 'WebSocket not connected'));
+      }
+    });
+  }
+
+  // Find the pending request a reply belongs to. Servers that do not echo
+  // request_id are matched to the oldest request waiting for that reply type.
+  findPendingRequest(data) {
+    if (data.request_id) {
+      return this.pendingRequests.has(data.request_id) ? data.request_id : null;
+    }
+    for (const [requestId, pending] of this.pendingRequests) {
+      if (pending.responseType === data.type) {
+        return requestId;
+      }
+    }
+    return null;
+  }
+
+  // Oldest pending request, of the given request type if one is named
+  findOldestRequest(type) {
+    for (const [requestId, pending] of this.pendingRequests) {
+      if (!type || pending.type === type) {
+        return requestId;
+      }
+    }
+    return null;
+  }
+
+  settleRequest(requestId, error, response) {
+    const pending = this.pendingRequests.get(requestId);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(requestId);
+    if (error) {
+      pending.reject(error);
+    } else {
+      pending.resolve(response);
+    }
+  }
+
+  resolvePendingRequest(data) {
+    if (this.pendingRequests.size === 0) return;
+
+    // Untagged errors from older firmware go to the oldest request they could be
+    // about, rather than leaving it to time out
+    if (data.type === 'error') {
+      const requestId = data.request_id || this.findOldestRequest(data.request_type);
+      if (requestId) {
+        this.settleRequest(
+          requestId,
+          new RadarRequestError('server_error', data.error || data.message || 'Server error', data)
+        );
+      }
+      return;
+    }
+
+    const requestId = this.findPendingRequest(data);
+    if (!requestId) return;
+
+    if (isFailedResponse(data)) {
+      this.settleRequest(
+        requestId,
+        new RadarRequestError('server_error', data.message || data.error || `${data.type} reported failure`, data)
+      );
+    } else {
+      this.settleRequest(requestId, null, data);
+    }
+  }
+
+  rejectPendingRequests(reason) {
+    [...this.pendingRequests.keys()].forEach(requestId => {
+      this.settleRequest(requestId, new RadarRequestError('disconnected', reason));
+    });
+  }
+
+  // Change the credentials sent on connect, reconnecting if the client is in use
+  setCredentials(credentials) {
+    this.options.credentials = credentials && credentials.value ? credentials : null;
+    this.reconnectAttempts = 0;
+    if (this.socket || this.status.state !== ConnectionState.IDLE) {
+      this.reconnect();
+    }
+  }
+
+  // Point the client at a different server, reconnecting if it was in use
+  setUrl(url) {
+    if (url === this.options.url) return false;
+
+    console.log('RadarClient: Switching server to', url);
+    this.options.url = url;
+    this.reconnectAttempts = 0;
+    if (this.socket || this.status.state !== ConnectionState.IDLE) {
+      this.reconnect();
+    }
+    return true;
+  }
+
+  connect() {
+    const now = Date.now();
+
+    if (!this.options.url) {
+      console.log('RadarClient: No server URL configured, skipping connection attempt');
+      return;
+    }
+
+    if (this.status.state === ConnectionState.REPLAYING) {
+      console.log('RadarClient: Replaying a recording, not connecting');
+      return;
+    }
+
+    if (!this.isNetworkUsable()) {
+      console.log('RadarClient: Device is offline, waiting for the network to return');
+      this.setStatus({ state: ConnectionState.OFFLINE });
+      return;
+    }
+
+    if (this.socket && this.socket.readyState <= WebSocketState.OPEN) {
+      console.log('RadarClient: Already connected or connecting, skipping duplicate attempt');
+      return;
+    }
+
+    // Prevent rapid reconnection attempts
+    if (now - this.lastConnectionAttempt < this.options.minAttemptInterval) {
+      console.log('RadarClient: Skipping connection attempt - too soon since last attempt');
+      return;
+    }
+
+    if (this.reconnectAttempts >= this.options.maxReconnectAttempts) {
+      console.log('RadarClient: Max reconnection attempts reached, waiting for manual reconnect');
+      this.setStatus({ state: ConnectionState.FAILED });
+      return;
+    }
+
+    // Never hand a token to a remote server over an unencrypted socket
+    if (this.options.credentials && !canSendCredentials(this.options.url)) {
+      console.warn('RadarClient: Refusing to send credentials over plain ws:// to a remote host');
+      this.clearRetryTimeout();
+      this.setStatus({
+        state: ConnectionState.AUTH_FAILED,
+        reason: 'Credentials are only sent over wss:// or to a local network address'
+      });
+      return;
+    }
+
+    this.clearRetryTimeout();
+    this.lastConnectionAttempt = now;
+    this.setStatus({ state: ConnectionState.CONNECTING });
+
+    try {
+      console.log('RadarClient: Connecting to', this.options.url);
+      const ws = this.options.createSocket(this.options.url);
+      ws.onopen = () => this.handleOpen(ws);
+      ws.onclose = (event) => this.handleClose(ws, event);
+      ws.onerror = (error) => {
+        // Error handling is done in onclose
+        console.error('RadarClient: WebSocket error:', error);
+      };
+      ws.onmessage = (event) => {
+        this.rawHandlers.forEach(handler => handler(event.data));
+        this.handleMessage(event);
+      };
+      this.socket = ws;
+    } catch (error) {
+      console.error('RadarClient: Error setting up WebSocket:', error);
+      this.socket = null;
+      this.setStatus({ state: ConnectionState.ERROR });
+
+      // Count it as a failed attempt so a bad URL cannot retry forever
+      this.reconnectAttempts += 1;
+      this.retryTimeout = setTimeout(() => this.connect(), this.options.minAttemptInterval);
+    }
+  }
+
+  // Close the socket without scheduling a reconnect
+  disconnect() {
+    this.clearRetryTimeout();
+    this.clearHandshakeTimers();
+    this.stopHeartbeat();
+    this.rejectPendingRequests('Client disconnected');
+    if (this.socket) {
+      const ws = this.socket;
+      this.socket = null;
+      try {
+        ws.close(1000, 'Client disconnect');
+      } catch (error) {
+        console.error('RadarClient: Error closing socket:', error);
+      }
+    }
+    this.setStatus({ state: ConnectionState.DISCONNECTED });
+  }
+
+  // Drop the current socket and connect again straight away
+  reconnect() {
+    console.log('RadarClient: Force reconnecting...');
+    this.clearRetryTimeout();
+    this.clearHandshakeTimers();
+    this.stopHeartbeat();
+    this.rejectPendingRequests('Connection reset');
+
+    if (this.socket) {
+      const ws = this.socket;
+      this.socket = null;
+      try {
+        ws.close(3001, 'Force reconnection');
+      } catch (error) {
+        console.error('RadarClient: Error closing socket for reconnect:', error);
+      }
+    }
+
+    // Reset attempts if we have tried too many times recently, but not to 0
+    if (this.reconnectAttempts > 3) {
+      this.reconnectAttempts = 3;
+    }
+
+    this.lastConnectionAttempt = 0;
+    this.retryTimeout = setTimeout(() => this.connect(), 1000);
+  }
+
+  // User-requested retry: start over with a fresh set of attempts
+  retryNow() {
+    console.log('RadarClient: Manual reconnect requested');
+    this.reconnectAttempts = 0;
+    this.reconnect();
+  }
+
+  // The simulator runs on the device, so it keeps working offline
+  isNetworkUsable() {
+    return this.networkAvailable || isSimulatorUrl(this.options.url);
+  }
+
+  // Called when the device's network connectivity changes. Going offline stops
+  // the retry loop; coming back (or switching networks) retries straight away.
+  setNetworkAvailable(available) {
+    const wasAvailable = this.networkAvailable;
+    this.networkAvailable = available;
+    if (this.status.state === ConnectionState.REPLAYING) return;
+
+    if (!available) {
+      if (!wasAvailable || isSimulatorUrl(this.options.url)) return;
+      console.log('RadarClient: Network lost, pausing reconnection');
+      this.clearRetryTimeout();
+      this.clearHandshakeTimers();
+      this.stopHeartbeat();
+      this.rejectPendingRequests('Network unavailable');
+      if (this.socket) {
+        const ws = this.socket;
+        this.socket = null;
+        try {
+          ws.close(1001, 'Network unavailable');
+        } catch (error) {
+          console.error('RadarClient: Error closing socket:', error);
+        }
+      }
+      this.setStatus({ state: ConnectionState.OFFLINE });
+      return;
+    }
+
+    // Only retry if we were waiting on the network, not while connecting,
+    // connected, stopped or rejected by the server
+    const waiting = [
+      ConnectionState.OFFLINE,
+      ConnectionState.RECONNECTING,
+      ConnectionState.FAILED,
+      ConnectionState.ERROR
+    ];
+    if (!waiting.includes(this.status.state)) return;
+
+    console.log('RadarClient: Network changed, retrying connection');
+    this.retryNow();
+  }
+
+  handleOpen(ws) {
+    if (ws !== this.socket) return;
+
+    console.log('RadarClient: WebSocket connected');
+    this.lastMessageTime = Date.now();
+
+    if (!this.options.credentials) {
+      this.startNegotiation();
+      return;
+    }
+
+    // Hold back data traffic until the server confirms the session
+    this.setStatus({ state: ConnectionState.AUTHENTICATING });
+    this.sendRaw(buildAuthMessage(this.options.credentials));
+    this.authTimer = setTimeout(() => {
+      console.log('RadarClient: Authentication timed out');
+      this.authTimer = null;
+      ws.close(CLOSE_AUTH_TIMEOUT, 'Authentication timeout');
+    }, this.options.authTimeout);
+  }
+
+  // Ask the server for its protocol version and capabilities before sending data
+  startNegotiation() {
+    this.setStatus({ state: ConnectionState.NEGOTIATING });
+    this.sendRaw(buildHelloMessage());
+    this.helloTimer = setTimeout(() => {
+      console.log('RadarClient: No hello reply, assuming legacy server');
+      this.helloTimer = null;
+      this.completeConnection(legacyServerInfo());
+    }, this.options.helloTimeout);
+  }
+
+  handleHelloMessage(data) {
+    clearTimeout(this.helloTimer);
+    this.helloTimer = null;
+
+    // Older firmware rejects the unknown hello with an error
+    const serverInfo = data.type === 'error' ? legacyServerInfo() : parseHelloResponse(data);
+    console.log('RadarClient: Server info:', serverInfo);
+    this.completeConnection(serverInfo);
+  }
+
+  completeConnection(serverInfo) {
+    this.serverInfo = serverInfo;
+    this.reconnectAttempts = 0;
+    this.startHeartbeat();
+    this.setStatus({ state: ConnectionState.CONNECTED, server: serverInfo });
+  }
+
+  handleAuthMessage(data) {
+    this.clearHandshakeTimers();
+
+    if (data.type === 'auth_ok') {
+      console.log('RadarClient: Session confirmed by server');
+      // A pairing code is exchanged for a token to use from now on
+      if (data.token) {
+        this.options.credentials = { method: 'token', value: data.token };
+      }
+      this.startNegotiation();
+      return;
+    }
+
+    // Wrong credentials will not get better by retrying, so stop here
+    const reason = data.reason || data.message || data.error || 'Authentication failed';
+    console.error('RadarClient: Authentication rejected:', reason);
+    const ws = this.socket;
+    this.socket = null;
+    ws.close(CLOSE_AUTH_FAILED, 'Authentication failed');
+    this.setStatus({ state: ConnectionState.AUTH_FAILED, reason });
+  }
+
+  handleClose(ws, event) {
+    console.log(`RadarClient: WebSocket disconnected, code: ${event.code}, reason: ${event.reason}`);
+
+    // Ignore sockets we already replaced or closed on purpose
+    if (ws !== this.socket) return;
+
+    this.socket = null;
+    this.stopHeartbeat();
+    this.clearHandshakeTimers();
+    this.rejectPendingRequests('Connection lost');
+
+    if (!this.isNetworkUsable()) {
+      this.setStatus({ state: ConnectionState.OFFLINE, code: event.code, reason: event.reason });
+      return;
+    }
+
+    // Skip reconnection if this is a normal closure or max attempts reached
+    if (event.code === 1000 || event.code === 1001) {
+      this.setStatus({ state: ConnectionState.DISCONNECTED, code: event.code, reason: event.reason });
+      return;
+    }
+    if (this.reconnectAttempts >= this.options.maxReconnectAttempts) {
+      this.setStatus({ state: ConnectionState.FAILED, code: event.code, reason: event.reason });
+      return;
+    }
+
+    // Exponential backoff with a slow growth rate
+    const retryDelay = Math.min(
+      this.options.baseReconnectDelay * Math.pow(1.5, this.reconnectAttempts),
+      this.options.maxReconnectDelay
+    );
+    this.reconnectAttempts += 1;
+
+    console.log(`RadarClient: Scheduling reconnection in ${Math.round(retryDelay / 1000)}s`);
+    this.setStatus({
+      state: ConnectionState.RECONNECTING,
+      retryDelay,
+      nextRetryAt: Date.now() + retryDelay,
+      code: event.code,
+      reason: event.reason
+    });
+    this.retryTimeout = setTimeout(() => this.connect(), retryDelay);
+  }
+
+  handleMessage(event) {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      console.error('RadarClient: Error parsing WebSocket message:', error);
+      recordValidation(this.validationReport, 'unparseable', { valid: false, repaired: false, issues: [error.message] });
+      return;
+    }
+
+    this.lastMessageTime = Date.now();
+
+    // Check the message against its schema, repairing or dropping bad entries
+    const messageType = (message && message.type) || 'unknown';
+    recordMessage(this.metrics, messageType);
+    if (messageType === 'pong') {
+      recordPong(this.metrics);
+    }
+    const validation = validateMessage(message);
+    recordValidation(this.validationReport, messageType, validation);
+    if (!validation.valid) {
+      console.warn(`RadarClient: Rejected malformed ${messageType} message:`, validation.issues);
+      return;
+    }
+    if (validation.repaired) {
+      console.warn(`RadarClient: Repaired ${messageType} message:`, validation.issues);
+    }
+    const data = validation.data;
+
+    if (this.status.state === ConnectionState.AUTHENTICATING) {
+      // Servers without a dedicated auth reply report rejection as a plain error
+      if (data.type === 'auth_ok' || data.type === 'auth_failed' || data.type === 'error') {
+        this.handleAuthMessage(data);
+        this.dispatch(data);
+      } else {
+        console.log('RadarClient: Ignoring message received before authentication:', data.type);
+      }
+      return;
+    }
+
+    if (this.status.state === ConnectionState.NEGOTIATING &&
+        (data.type === 'hello_response' || data.type === 'error')) {
+      this.handleHelloMessage(data);
+      this.dispatch(data);
+      return;
+    }
+
+    this.resolvePendingRequest(data);
+    this.dispatch(data);
+  }
+
+  // Drop the live connection and accept recorded messages instead
+  beginReplay() {
+    console.log('RadarClient: Starting replay');
+    this.disconnect();
+    this.setStatus({ state: ConnectionState.REPLAYING });
+  }
+
+  // Feed one recorded raw frame through the normal message path
+  replayMessage(raw) {
+    if (this.status.state !== ConnectionState.REPLAYING) return;
+    this.handleMessage({ data: raw });
+  }
+
+  // Go back to the live server
+  endReplay() {
+    if (this.status.state !== ConnectionState.REPLAYING) return;
+
+    console.log('RadarClient: Replay finished, reconnecting');
+    this.setStatus({ state: ConnectionState.DISCONNECTED });
+    this.reconnectAttempts = 0;
+    this.lastConnectionAttempt = 0;
+    this.connect();
+  }
+
+  // Send a heartbeat ping, timing the round trip until its pong
+  ping() {
+    if (this.send({ type: 'ping' })) {
+      recordPingSent(this.metrics);
+      return true;
+    }
+    return false;
+  }
+
+  getMetrics() {
+    return summarizeMetrics(this.metrics);
+  }
+
+  resetValidationReport() {
+    this.validationReport = createValidationReport();
+  }
+
+  // Deliver a parsed message to its type subscribers and the catch-all subscribers
+  dispatch(data) {
+    const messageType = data.type || 'unknown';
+    const handlers = [
+      ...(this.messageHandlers.get(messageType) || []),
+      ...(this.messageHandlers.get(ANY_MESSAGE) || [])
+    ];
+
+    if (handlers.length === 0) {
+      console.log('RadarClient: Unhandled message type:', messageType);
+      return;
+    }
+
+    handlers.forEach(handler => {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error(`RadarClient: Error in ${messageType} handler:`, error);
+      }
+    });
+  }
+
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.heartbeatTimer = setInterval(() => {
+      if (!this.isOpen()) {
+        console.log('RadarClient: Heartbeat detected closed socket, reconnecting...');
+        this.reconnect();
+        return;
+      }
+
+      if (Date.now() - this.lastMessageTime > this.options.idleTimeout) {
+        console.log('RadarClient: No messages received within idle timeout, forcing reconnect...');
+        this.reconnect();
+        return;
+      }
+
+      this.ping();
+    }, this.options.heartbeatInterval);
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  clearHandshakeTimers() {
+    if (this.authTimer) {
+      clearTimeout(this.authTimer);
+      this.authTimer = null;
+    }
+    if (this.helloTimer) {
+      clearTimeout(this.helloTimer);
+      this.helloTimer = null;
+    }
+  }
+
+  clearRetryTimeout() {
+    if (this.retryTimeout) {
+      clearTimeout(this.retryTimeout);
+      this.retryTimeout = null;
+    }
+  }
+
+  setStatus(update) {
+    this.status = { ...update, attempts: this.reconnectAttempts };
+    recordConnectionEvent(this.metrics, this.status);
+    this.statusHandlers.forEach(handler => {
+      try {
+        handler(this.status);
+      } catch (error) {
+        console.error('RadarClient: Error in status handler:', error);
+      }
+    });
+  }
+}
+
+export default RadarClient;
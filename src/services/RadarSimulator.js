@@ -0,0 +1,289 @@
+// Local stand-in for the radar server. SimulatedRadarSocket has the same
+// interface as a WebSocket and speaks the radar protocol, so RadarClient can use
+// it in place of a real connection: it streams target trajectories, raises
+// fall events and keeps zones and settings for as long as the app runs.
+
+import { Capability, PROTOCOL_VERSION } from './protocol';
+
+export const SIMULATOR_SCHEME = 'sim';
+
+export const SIMULATOR_SCENARIOS = [
+  { id: 'scripted', label: 'Scripted' },
+  { id: 'random', label: 'Random' }
+];
+
+export const isSimulatorUrl = (url) => typeof url === 'string' && url.startsWith(`${SIMULATOR_SCHEME}://`);
+
+const FRAME_INTERVAL = 200; // Time between target_update frames in ms
+const OPEN_DELAY = 300; // Pretend connection setup time in ms
+const STANDING_HEIGHT = 1.7;
+const FALLEN_HEIGHT = 0.3;
+const SCRIPTED_FALL_INTERVAL = 60000; // The scripted walker falls once a minute
+const RANDOM_FALL_CHANCE = 0.0005; // Per target per frame
+const FALL_RECOVERY_TIME = 8000;
+const MAX_FALL_LOGS = 50;
+
+// Area the simulated targets move in, in radar metres
+const AREA = { minX: -3, maxX: 3, minY: 0.5, maxY: 6 };
+
+// Zones, settings and fall history outlive a single simulated connection,
+// the same way they would on a real server
+const serverState = {
+  zones: {},
+  fallLogs: [],
+  settings: { enabled: true, sensitivity: 0.7, frame_time_ms: 100 }
+};
+
+// Waypoints walked in order by the scripted scenario
+const SCRIPTED_PATHS = [
+  [{ x: -2, y: 1 }, { x: 2, y: 1 }, { x: 2, y: 4 }, { x: -2, y: 4 }],
+  [{ x: 0, y: 5.5 }, { x: 0, y: 2 }, { x: 1.5, y: 3 }]
+];
+const WALKING_SPEED = 0.8; // metres per second
+
+const randomBetween = (min, max) => min + Math.random() * (max - min);
+
+const randomPoint = () => ({
+  x: randomBetween(AREA.minX, AREA.maxX),
+  y: randomBetween(AREA.minY, AREA.maxY)
+});
+
+const createTarget = (id, path) => {
+  const start = path ? path[0] : randomPoint();
+  return {
+    id,
+    x: start.x,
+    y: start.y,
+    z: STANDING_HEIGHT,
+    path,
+    waypoint: path ? 1 % path.length : null,
+    destination: path ? null : randomPoint(),
+    fallenUntil: null,
+    heightHistory: []
+  };
+};
+
+// Move a target towards its next waypoint, returns true when it got there
+const stepTowards = (target, destination, distance) => {
+  const dx = destination.x - target.x;
+  const dy = destination.y - target.y;
+  const remaining = Math.sqrt(dx * dx + dy * dy);
+  if (remaining <= distance) {
+    target.x = destination.x;
+    target.y = destination.y;
+    return true;
+  }
+  target.x += (dx / remaining) * distance;
+  target.y += (dy / remaining) * distance;
+  return false;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class SimulatedRadarSocket {
+  constructor(url) {
+    this.url = url;
+    this.scenario = url.slice(`${SIMULATOR_SCHEME}://`.length) || 'scripted';
+    this.readyState = SimulatedRadarSocket.CONNECTING;
+    this.onopen = null;
+    this.onclose = null;
+    this.onerror = null;
+    this.onmessage = null;
+    this.frameTimer = null;
+    this.startedAt = Date.now();
+    this.lastFallAt = this.startedAt;
+    this.targets = this.scenario === 'random'
+      ? [1, 2, 3].map(id => createTarget(id, null))
+      : SCRIPTED_PATHS.map((path, index) => createTarget(index + 1, path));
+
+    console.log('RadarSimulator: Starting', this.scenario, 'scenario');
+    this.openTimer = setTimeout(() => this.open(), OPEN_DELAY);
+  }
+
+  open() {
+    this.readyState = SimulatedRadarSocket.OPEN;
+    if (this.onopen) this.onopen();
+    this.frameTimer = setInterval(() => this.emitFrame(), FRAME_INTERVAL);
+  }
+
+  send(raw) {
+    if (this.readyState !== SimulatedRadarSocket.OPEN) {
+      throw new Error('SimulatedRadarSocket is not open');
+    }
+
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      this.reply({ type: 'error', error: 'Invalid JSON' });
+      return;
+    }
+
+    // Answer asynchronously, like a real server would
+    setTimeout(() => this.handleMessage(message), 0);
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.readyState >= SimulatedRadarSocket.CLOSING) return;
+
+    this.readyState = SimulatedRadarSocket.CLOSING;
+    clearTimeout(this.openTimer);
+    clearInterval(this.frameTimer);
+    setTimeout(() => {
+      this.readyState = SimulatedRadarSocket.CLOSED;
+      if (this.onclose) this.onclose({ code, reason });
+    }, 0);
+  }
+
+  reply(message, request) {
+    if (this.readyState !== SimulatedRadarSocket.OPEN || !this.onmessage) return;
+    const data = request && request.request_id !== undefined
+      ? { ...message, request_id: request.request_id }
+      : message;
+    this.onmessage({ data: JSON.stringify(data) });
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'hello':
+        this.reply({
+          type: 'hello_response',
+          protocol_version: PROTOCOL_VERSION,
+          min_client_version: PROTOCOL_VERSION,
+          firmware: 'simulator',
+          capabilities: Object.values(Capability)
+        }, message);
+        break;
+
+      case 'auth':
+        // Any credentials are accepted
+        this.reply({ type: 'auth_ok' }, message);
+        break;
+
+      case 'ping':
+        this.reply({ type: 'pong' }, message);
+        break;
+
+      case 'request_zones':
+        this.reply({ type: 'zones_response', zones: serverState.zones }, message);
+        break;
+
+      case 'new_zone':
+        if (!message.zone || message.zone.id === undefined) {
+          this.reply({ type: 'error', error: 'new_zone needs a zone' }, message);
+          break;
+        }
+        serverState.zones[message.zone.id] = message.zone;
+        this.reply({ type: 'zones_data', success: true, zones: serverState.zones }, message);
+        break;
+
+      case 'update_zone':
+        // Only zones the server already has can be edited
+        if (!message.zone || !serverState.zones[message.zone.id]) {
+          this.reply({ type: 'error', error: 'update_zone needs an existing zone' }, message);
+          break;
+        }
+        serverState.zones[message.zone.id] = message.zone;
+        this.reply({ type: 'zones_data', success: true, zones: serverState.zones }, message);
+        break;
+
+      case 'delete_zone':
+        delete serverState.zones[message.zoneId];
+        this.reply({ type: 'zone_deleted', success: true, zoneId: message.zoneId }, message);
+        break;
+
+      case 'update_config':
+        // Like the firmware, apply it without replying
+        break;
+
+      case 'request_logs':
+        // Zone occupancy is logged by the app itself from the target stream
+        this.reply({ type: 'zone_logs_response', logs: {} }, message);
+        break;
+
+      case 'fall_logs':
+        this.reply({ type: 'fall_logs_response', logs: serverState.fallLogs }, message);
+        break;
+
+      case 'request_fall_detection_settings':
+        this.reply({ type: 'fall_detection_settings', settings: serverState.settings }, message);
+        break;
+
+      case 'update_fall_detection_settings':
+        serverState.settings = { ...serverState.settings, ...message.settings };
+        this.reply({ type: 'fall_detection_update', success: true, settings: serverState.settings }, message);
+        break;
+
+      default:
+        this.reply({ type: 'error', error: `Unknown message type: ${message.type}` }, message);
+    }
+  }
+
+  emitFrame() {
+    const now = Date.now();
+    const distance = WALKING_SPEED * (FRAME_INTERVAL / 1000);
+
+    this.targets.forEach((target, index) => {
+      if (target.fallenUntil !== null) {
+        if (now < target.fallenUntil) return;
+        // Get back up and carry on
+        target.fallenUntil = null;
+        target.z = STANDING_HEIGHT;
+      }
+
+      if (target.path) {
+        if (stepTowards(target, target.path[target.waypoint], distance)) {
+          target.waypoint = (target.waypoint + 1) % target.path.length;
+        }
+      } else if (stepTowards(target, target.destination, distance)) {
+        target.destination = randomPoint();
+      }
+      target.z = round(STANDING_HEIGHT + randomBetween(-0.05, 0.05));
+      target.heightHistory = [...target.heightHistory.slice(-9), target.z];
+
+      const shouldFall = this.scenario === 'random'
+        ? Math.random() < RANDOM_FALL_CHANCE
+        : index === 0 && now - this.lastFallAt >= SCRIPTED_FALL_INTERVAL;
+      if (shouldFall && serverState.settings.enabled) {
+        this.lastFallAt = now;
+        this.emitFall(target, now);
+      }
+    });
+
+    this.reply({
+      type: 'target_update',
+      targets: this.targets.map(target => ({
+        id: target.id,
+        x: round(target.x),
+        y: round(target.y),
+        z: target.z
+      }))
+    });
+  }
+
+  emitFall(target, now) {
+    target.z = FALLEN_HEIGHT;
+    target.fallenUntil = now + FALL_RECOVERY_TIME;
+
+    const entry = {
+      timestamp: new Date(now).toISOString(),
+      event_type: 'fall',
+      target_id: target.id,
+      height: { current: FALLEN_HEIGHT, unit: 'm' },
+      position: { x: round(target.x), y: round(target.y), z: FALLEN_HEIGHT, unit: 'm' },
+      height_history: { values: [...target.heightHistory, FALLEN_HEIGHT], unit: 'm' }
+    };
+    serverState.fallLogs = [...serverState.fallLogs.slice(-(MAX_FALL_LOGS - 1)), entry];
+
+    console.log('RadarSimulator: Target', target.id, 'fell');
+    this.reply({ type: 'fall_event', ...entry });
+  }
+}
+
+// Same ready states as WebSocket
+SimulatedRadarSocket.CONNECTING = 0;
+SimulatedRadarSocket.OPEN = 1;
+SimulatedRadarSocket.CLOSING = 2;
+SimulatedRadarSocket.CLOSED = 3;
+
+export default SimulatedRadarSocket;
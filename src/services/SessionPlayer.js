@@ -0,0 +1,140 @@
+// Replays a recording made by SessionRecorder into a RadarClient, keeping the
+// original timing between frames (scaled by the playback speed). While a replay
+// is loaded the client is disconnected from the live server, so the screen only
+// sees recorded messages.
+
+export const PlaybackState = {
+  STOPPED: 'stopped',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  FINISHED: 'finished'
+};
+
+export const PLAYBACK_SPEEDS = [1, 4];
+
+class SessionPlayer {
+  constructor(client) {
+    this.client = client;
+    this.recording = null;
+    this.state = PlaybackState.STOPPED;
+    this.speed = 1;
+    this.position = 0; // Index of the next entry to play
+    this.elapsed = 0; // Recording time of the last played entry, in ms
+    this.timer = null;
+    this.listeners = new Set();
+  }
+
+  // Summary for the UI
+  getState() {
+    return {
+      state: this.state,
+      speed: this.speed,
+      elapsed: this.elapsed,
+      duration: this.recording ? this.getDuration() : 0,
+      name: this.recording ? this.recording.name : null
+    };
+  }
+
+  getDuration() {
+    const { header, entries } = this.recording;
+    if (header.duration) return header.duration;
+    return entries.length > 0 ? entries[entries.length - 1].t : 0;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.getState());
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const state = this.getState();
+    this.listeners.forEach(listener => listener(state));
+  }
+
+  // recording is { name, header, entries } as returned by loadRecording
+  load(recording) {
+    clearTimeout(this.timer);
+    if (!this.recording) {
+      this.client.beginReplay();
+    }
+    this.recording = recording;
+    this.state = PlaybackState.STOPPED;
+    this.position = 0;
+    this.elapsed = 0;
+
+    // Zones on screen when the recording was made, so occupancy works from the start
+    if (recording.header.zones && recording.header.zones.length > 0) {
+      this.client.replayMessage(JSON.stringify({ type: 'zones_response', zones: recording.header.zones }));
+    }
+
+    this.play();
+  }
+
+  play() {
+    if (!this.recording) return;
+    if (this.state === PlaybackState.FINISHED) {
+      // Start over; the screen keeps whatever state the last run left behind
+      this.position = 0;
+      this.elapsed = 0;
+    }
+    this.state = PlaybackState.PLAYING;
+    this.scheduleNext();
+    this.notify();
+  }
+
+  pause() {
+    if (this.state !== PlaybackState.PLAYING) return;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.state = PlaybackState.PAUSED;
+    this.notify();
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+    if (this.state === PlaybackState.PLAYING) {
+      clearTimeout(this.timer);
+      this.scheduleNext();
+    }
+    this.notify();
+  }
+
+  // Unload the recording and hand the client back to the live server
+  stop() {
+    if (!this.recording) return;
+
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.recording = null;
+    this.state = PlaybackState.STOPPED;
+    this.client.endReplay();
+    this.notify();
+  }
+
+  scheduleNext() {
+    const { entries } = this.recording;
+    if (this.position >= entries.length) {
+      this.state = PlaybackState.FINISHED;
+      this.notify();
+      return;
+    }
+
+    const entry = entries[this.position];
+    const delay = Math.max(0, (entry.t - this.elapsed) / this.speed);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.position += 1;
+      this.elapsed = entry.t;
+      this.client.replayMessage(entry.data);
+      this.scheduleNext();
+    }, delay);
+
+    // Progress updates roughly once a second of recording time
+    if (Math.floor(entry.t / 1000) !== Math.floor(this.elapsed / 1000)) {
+      this.notify();
+    }
+  }
+}
+
+export default SessionPlayer;
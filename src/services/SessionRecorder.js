@@ -0,0 +1,197 @@
+import * as FileSystem from 'expo-file-system';
+
+// Captures the raw frames received from the radar server, with the time each one
+// arrived, and saves them as a recording that SessionPlayer can replay.
+//
+// Recordings are JSON lines: a header, then one { t, data } entry per frame where
+// t is milliseconds since the recording started and data is the frame as received,
+// minus any credentials.
+
+export const RECORDING_FORMAT = 'sentinel-radar-recording';
+export const RECORDING_VERSION = 1;
+export const RECORDINGS_DIRECTORY = `${FileSystem.documentDirectory}recordings/`;
+
+const MAX_ENTRIES = 100000; // Stop recording before memory use gets out of hand
+
+// Frames that can carry credentials, and the fields holding them
+const CREDENTIAL_MESSAGE_TYPES = ['auth', 'auth_ok'];
+const CREDENTIAL_FIELDS = ['token', 'pairing_code'];
+
+// Drop credentials from a frame so a shared recording does not give away the session
+const redactFrame = (data) => {
+  if (typeof data !== 'string' || !data.includes('"auth')) return data;
+
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (error) {
+    return data;
+  }
+  if (!message || !CREDENTIAL_MESSAGE_TYPES.includes(message.type)) return data;
+
+  const redacted = { ...message };
+  CREDENTIAL_FIELDS.forEach(field => delete redacted[field]);
+  return JSON.stringify(redacted);
+};
+
+const ensureRecordingsDirectory = async () => {
+  const info = await FileSystem.getInfoAsync(RECORDINGS_DIRECTORY);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(RECORDINGS_DIRECTORY, { intermediates: true });
+  }
+};
+
+// Saved recordings, newest first
+export const listRecordings = async () => {
+  try {
+    await ensureRecordingsDirectory();
+    const names = await FileSystem.readDirectoryAsync(RECORDINGS_DIRECTORY);
+    const recordings = await Promise.all(
+      names
+        .filter(name => name.endsWith('.jsonl'))
+        .map(async name => {
+          const uri = `${RECORDINGS_DIRECTORY}${name}`;
+          const info = await FileSystem.getInfoAsync(uri);
+          return { name, uri, size: info.size, modifiedAt: info.modificationTime * 1000 };
+        })
+    );
+    return recordings.sort((a, b) => b.modifiedAt - a.modifiedAt);
+  } catch (error) {
+    console.error('Error listing recordings:', error);
+    return [];
+  }
+};
+
+export const deleteRecording = async (uri) => {
+  try {
+    await FileSystem.deleteAsync(uri, { idempotent: true });
+    return true;
+  } catch (error) {
+    console.error('Error deleting recording:', error);
+    return false;
+  }
+};
+
+// Copy a recording received from elsewhere into the recordings directory
+export const importRecording = async (sourceUri, name) => {
+  await ensureRecordingsDirectory();
+  const fileName = name.endsWith('.jsonl') ? name : `${name}.jsonl`;
+  const uri = `${RECORDINGS_DIRECTORY}${fileName}`;
+  await FileSystem.copyAsync({ from: sourceUri, to: uri });
+  return uri;
+};
+
+// Returns { header, entries }, throwing if the file is not a recording
+export const loadRecording = async (uri) => {
+  const content = await FileSystem.readAsStringAsync(uri);
+  const lines = content.split('\n').filter(line => line.trim());
+  if (lines.length === 0) {
+    throw new Error('Recording is empty');
+  }
+
+  const header = JSON.parse(lines[0]);
+  if (header.format !== RECORDING_FORMAT) {
+    throw new Error('Not a radar recording');
+  }
+  if (header.version > RECORDING_VERSION) {
+    throw new Error(`Recording version ${header.version} is newer than this app supports`);
+  }
+
+  const entries = lines.slice(1).map(line => JSON.parse(line));
+  return { header, entries };
+};
+
+class SessionRecorder {
+  constructor(client) {
+    this.client = client;
+    this.recording = null;
+    this.unsubscribeRaw = null;
+    this.notifyTimer = null;
+    this.listeners = new Set();
+  }
+
+  isRecording() {
+    return this.recording !== null;
+  }
+
+  // Summary for the UI: { recording, startedAt, entryCount }
+  getState() {
+    return this.recording
+      ? { recording: true, startedAt: this.recording.startedAt, entryCount: this.recording.entries.length }
+      : { recording: false, startedAt: null, entryCount: 0 };
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.getState());
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const state = this.getState();
+    this.listeners.forEach(listener => listener(state));
+  }
+
+  // zones is a snapshot of the zones on screen, so a replay can show occupancy
+  // even if the recording does not include a zones response
+  start({ zones = [] } = {}) {
+    if (this.recording) return;
+
+    const startedAt = Date.now();
+    this.recording = {
+      startedAt,
+      header: {
+        format: RECORDING_FORMAT,
+        version: RECORDING_VERSION,
+        startedAt: new Date(startedAt).toISOString(),
+        url: this.client.options.url,
+        server: this.client.serverInfo,
+        zones
+      },
+      entries: []
+    };
+
+    this.unsubscribeRaw = this.client.onRawMessage((data) => {
+      const { recording } = this;
+      recording.entries.push({ t: Date.now() - recording.startedAt, data: redactFrame(data) });
+      if (recording.entries.length >= MAX_ENTRIES) {
+        console.log('SessionRecorder: Entry limit reached, stopping');
+        this.stop().catch(error => {
+          console.error('SessionRecorder: Error saving recording:', error);
+        });
+      }
+    });
+
+    console.log('SessionRecorder: Recording started');
+    this.notify();
+    this.notifyTimer = setInterval(() => this.notify(), 1000);
+  }
+
+  // Stop recording and save it, returns the file URI (or null if nothing was recorded)
+  async stop() {
+    if (!this.recording) return null;
+
+    const recording = this.recording;
+    this.recording = null;
+    this.unsubscribeRaw();
+    this.unsubscribeRaw = null;
+    clearInterval(this.notifyTimer);
+    this.notify();
+
+    const header = {
+      ...recording.header,
+      duration: Date.now() - recording.startedAt,
+      entryCount: recording.entries.length
+    };
+    const content = [header, ...recording.entries].map(line => JSON.stringify(line)).join('\n');
+    const name = `radar-${recording.header.startedAt.replace(/[:.]/g, '-')}.jsonl`;
+
+    await ensureRecordingsDirectory();
+    const uri = `${RECORDINGS_DIRECTORY}${name}`;
+    await FileSystem.writeAsStringAsync(uri, content);
+    console.log(`SessionRecorder: Saved ${recording.entries.length} frames to`, uri);
+    return uri;
+  }
+}
+
+export default SessionRecorder;
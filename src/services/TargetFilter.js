@@ -0,0 +1,76 @@
+// Per-target alpha-beta filter over the positions in target_update frames.
+// Smooths out sensor jitter (which also keeps targets near a zone edge from
+// flickering in and out of it) and tracks each target's velocity.
+
+const TRACK_TIMEOUT = 2000; // Forget targets not seen for this long, in ms
+const MIN_DT = 0.01; // Clamp the time between frames, in seconds
+const MAX_DT = 1;
+
+class TargetFilter {
+  constructor({ alpha = 1, beta = 0 } = {}) {
+    this.alpha = alpha;
+    this.beta = beta;
+    this.tracks = new Map();
+  }
+
+  setGains({ alpha, beta }) {
+    this.alpha = alpha;
+    this.beta = beta;
+  }
+
+  reset() {
+    this.tracks.clear();
+  }
+
+  // Filter one frame of targets, returns them with smoothed x, y, z, the
+  // estimated velocity (vx, vy in metres per second) and when each was first seen
+  update(targets, now = Date.now()) {
+    const { alpha, beta } = this;
+    const filtered = targets.map(target => {
+      const track = this.tracks.get(target.id);
+      if (!track) {
+        const created = { x: target.x, y: target.y, z: target.z, vx: 0, vy: 0, time: now, firstSeen: now };
+        this.tracks.set(target.id, created);
+        return { ...target, vx: 0, vy: 0, firstSeen: now };
+      }
+
+      const dt = Math.min(Math.max((now - track.time) / 1000, MIN_DT), MAX_DT);
+
+      // Predict where the target should be, then correct towards the measurement
+      const predictedX = track.x + track.vx * dt;
+      const predictedY = track.y + track.vy * dt;
+      const residualX = target.x - predictedX;
+      const residualY = target.y - predictedY;
+
+      track.x = predictedX + alpha * residualX;
+      track.y = predictedY + alpha * residualY;
+      track.vx += (beta / dt) * residualX;
+      track.vy += (beta / dt) * residualY;
+      if (typeof target.z === 'number') {
+        track.z = typeof track.z === 'number' ? track.z + alpha * (target.z - track.z) : target.z;
+      }
+      track.time = now;
+
+      return {
+        ...target,
+        x: track.x,
+        y: track.y,
+        ...(typeof target.z === 'number' ? { z: track.z } : {}),
+        vx: track.vx,
+        vy: track.vy,
+        firstSeen: track.firstSeen
+      };
+    });
+
+    // Drop targets that have left the field of view
+    this.tracks.forEach((track, id) => {
+      if (now - track.time > TRACK_TIMEOUT) {
+        this.tracks.delete(id);
+      }
+    });
+
+    return filtered;
+  }
+}
+
+export default TargetFilter;
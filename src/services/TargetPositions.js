@@ -0,0 +1,121 @@
+import { Easing, makeMutable, withTiming } from 'react-native-reanimated';
+
+// Live target positions for the radar markers, held in reanimated shared values.
+// Every target_update writes the new positions straight into the shared values,
+// so markers move on the UI thread without React rendering anything. Listeners
+// hear about the set of targets only when one appears or disappears, and about
+// a single target's latest data for anything drawn with React, like its label.
+// Positions are in room coordinates.
+
+// Estimated time between target_update frames is clamped to this range, in ms
+const MIN_FRAME_INTERVAL = 50;
+const MAX_FRAME_INTERVAL = 1000;
+
+class TargetPositions {
+  constructor() {
+    this.entries = new Map();
+    this.ids = [];
+    this.listeners = new Set();
+    this.targetListeners = new Map();
+    this.lastFrame = 0;
+    this.frameInterval = 200;
+  }
+
+  // Register a listener for the ids of the current targets, called immediately
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.ids);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Register a listener for one target's latest data, called immediately if it is known
+  subscribeTarget(id, listener) {
+    if (!this.targetListeners.has(id)) {
+      this.targetListeners.set(id, new Set());
+    }
+    this.targetListeners.get(id).add(listener);
+    const entry = this.entries.get(id);
+    if (entry) {
+      listener(entry.target);
+    }
+    return () => {
+      const listeners = this.targetListeners.get(id);
+      if (!listeners) return;
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        this.targetListeners.delete(id);
+      }
+    };
+  }
+
+  // Shared values { x, y } for a target, or null if it is not on screen
+  get(id) {
+    const entry = this.entries.get(id);
+    return entry ? { x: entry.x, y: entry.y } : null;
+  }
+
+  // Move every marker to its target's new position. With `interpolate`, markers
+  // glide there over one estimated frame interval instead of jumping.
+  update(targets, { interpolate = false, now = Date.now() } = {}) {
+    if (this.lastFrame) {
+      // Smooth the estimate so one late frame does not slow everything down
+      const measured = Math.min(Math.max(now - this.lastFrame, MIN_FRAME_INTERVAL), MAX_FRAME_INTERVAL);
+      this.frameInterval = this.frameInterval * 0.8 + measured * 0.2;
+    }
+    this.lastFrame = now;
+
+    const timing = { duration: Math.round(this.frameInterval), easing: Easing.linear };
+    const seen = new Set();
+    let membershipChanged = false;
+
+    targets.forEach(target => {
+      seen.add(target.id);
+      const entry = this.entries.get(target.id);
+      if (!entry) {
+        this.entries.set(target.id, { x: makeMutable(target.x), y: makeMutable(target.y), target });
+        membershipChanged = true;
+      } else {
+        entry.x.value = interpolate ? withTiming(target.x, timing) : target.x;
+        entry.y.value = interpolate ? withTiming(target.y, timing) : target.y;
+        entry.target = target;
+      }
+      this.notifyTarget(target.id, target);
+    });
+
+    [...this.entries.keys()].forEach(id => {
+      if (!seen.has(id)) {
+        this.entries.delete(id);
+        membershipChanged = true;
+      }
+    });
+
+    if (membershipChanged) {
+      this.ids = targets.map(target => target.id);
+      this.notify();
+    }
+  }
+
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.ids);
+      } catch (error) {
+        console.error('TargetPositions: Error in listener:', error);
+      }
+    });
+  }
+
+  notifyTarget(id, target) {
+    const listeners = this.targetListeners.get(id);
+    if (!listeners) return;
+    listeners.forEach(listener => {
+      try {
+        listener(target);
+      } catch (error) {
+        console.error('TargetPositions: Error in target listener:', error);
+      }
+    });
+  }
+}
+
+export default TargetPositions;
@@ -0,0 +1,80 @@
+// Connection figures collected by RadarClient for the diagnostics screen:
+// ping/pong round-trip times, per-type message counts and rates, and the
+// history of connection state changes.
+
+const RATE_WINDOW = 5000; // Message rates are averaged over this window
+const MAX_RTT_SAMPLES = 20;
+const MAX_CONNECTION_EVENTS = 50;
+
+export const createConnectionMetrics = () => ({
+  pingSentAt: null,
+  rttSamples: [],
+  lastPongAt: null,
+  messageTotals: {},
+  recentMessageTimes: {},
+  connectionEvents: []
+});
+
+export const recordPingSent = (metrics, now = Date.now()) => {
+  metrics.pingSentAt = now;
+};
+
+export const recordPong = (metrics, now = Date.now()) => {
+  metrics.lastPongAt = now;
+  if (metrics.pingSentAt === null) return;
+
+  metrics.rttSamples = [...metrics.rttSamples.slice(-(MAX_RTT_SAMPLES - 1)), now - metrics.pingSentAt];
+  metrics.pingSentAt = null;
+};
+
+export const recordMessage = (metrics, type, now = Date.now()) => {
+  metrics.messageTotals[type] = (metrics.messageTotals[type] || 0) + 1;
+
+  const times = metrics.recentMessageTimes[type] || [];
+  times.push(now);
+  while (times.length > 0 && now - times[0] > RATE_WINDOW) {
+    times.shift();
+  }
+  metrics.recentMessageTimes[type] = times;
+};
+
+export const recordConnectionEvent = (metrics, status, now = Date.now()) => {
+  metrics.connectionEvents = [
+    ...metrics.connectionEvents.slice(-(MAX_CONNECTION_EVENTS - 1)),
+    {
+      time: now,
+      state: status.state,
+      attempts: status.attempts,
+      code: status.code,
+      reason: status.reason,
+      retryDelay: status.retryDelay
+    }
+  ];
+};
+
+// Snapshot of the metrics in display-ready form
+export const summarizeMetrics = (metrics, now = Date.now()) => {
+  const samples = metrics.rttSamples;
+  const rtt = samples.length === 0 ? null : {
+    last: samples[samples.length - 1],
+    average: Math.round(samples.reduce((sum, sample) => sum + sample, 0) / samples.length),
+    min: Math.min(...samples),
+    max: Math.max(...samples)
+  };
+
+  const messageRates = {};
+  Object.entries(metrics.recentMessageTimes).forEach(([type, times]) => {
+    const recent = times.filter(time => now - time <= RATE_WINDOW);
+    messageRates[type] = recent.length / (RATE_WINDOW / 1000);
+  });
+
+  return {
+    rtt,
+    // A ping still waiting for its pong, and for how long
+    pendingPingAge: metrics.pingSentAt === null ? null : now - metrics.pingSentAt,
+    lastPongAt: metrics.lastPongAt,
+    messageTotals: { ...metrics.messageTotals },
+    messageRates,
+    connectionEvents: [...metrics.connectionEvents]
+  };
+};
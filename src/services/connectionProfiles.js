@@ -0,0 +1,93 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { SIMULATOR_SCENARIOS, SIMULATOR_SCHEME } from './RadarSimulator';
+
+// Saved radar server endpoints, persisted across restarts
+
+const PROFILES_KEY = '@sentinel/connection_profiles';
+const ACTIVE_PROFILE_KEY = '@sentinel/active_connection_profile';
+
+export const DEFAULT_PROFILE = {
+  id: 'default',
+  name: 'Default',
+  scheme: 'ws',
+  host: '192.168.29.28',
+  port: 9001
+};
+
+export const SOCKET_SCHEMES = ['ws', 'wss', SIMULATOR_SCHEME];
+
+// Profile for the built-in simulator, offered when there is no sensor to hand
+export const SIMULATOR_PROFILE = {
+  id: 'simulator',
+  name: 'Simulator',
+  scheme: SIMULATOR_SCHEME,
+  scenario: 'scripted',
+  host: '',
+  port: ''
+};
+
+export const buildSocketUrl = ({ scheme, host, port, scenario }) => (
+  scheme === SIMULATOR_SCHEME
+    ? `${SIMULATOR_SCHEME}://${scenario || 'scripted'}`
+    : `${scheme}://${host}:${port}`
+);
+
+export const createProfileId = () => `profile_${Date.now()}`;
+
+// Returns an error message for an invalid profile, or null if it can be saved
+export const validateProfile = (profile) => {
+  if (!profile.name || !profile.name.trim()) {
+    return 'Profile name cannot be empty.';
+  }
+  if (profile.scheme === SIMULATOR_SCHEME) {
+    return SIMULATOR_SCENARIOS.some(scenario => scenario.id === profile.scenario)
+      ? null
+      : 'Choose a simulator scenario.';
+  }
+  if (!profile.host || !profile.host.trim()) {
+    return 'Host address cannot be empty.';
+  }
+  const port = parseInt(profile.port);
+  if (!port || port < 1 || port > 65535) {
+    return 'Port must be a number between 1 and 65535.';
+  }
+  if (!SOCKET_SCHEMES.includes(profile.scheme)) {
+    return `Scheme must be one of ${SOCKET_SCHEMES.join(', ')}.`;
+  }
+  return null;
+};
+
+export const loadConnectionProfiles = async () => {
+  try {
+    const [storedProfiles, storedActiveId] = await Promise.all([
+      AsyncStorage.getItem(PROFILES_KEY),
+      AsyncStorage.getItem(ACTIVE_PROFILE_KEY)
+    ]);
+    const profiles = storedProfiles ? JSON.parse(storedProfiles) : [];
+
+    if (!Array.isArray(profiles) || profiles.length === 0) {
+      return { profiles: [DEFAULT_PROFILE, SIMULATOR_PROFILE], activeProfileId: DEFAULT_PROFILE.id };
+    }
+
+    const activeProfileId = profiles.some(profile => profile.id === storedActiveId)
+      ? storedActiveId
+      : profiles[0].id;
+    return { profiles, activeProfileId };
+  } catch (error) {
+    console.error('Error loading connection profiles:', error);
+    return { profiles: [DEFAULT_PROFILE, SIMULATOR_PROFILE], activeProfileId: DEFAULT_PROFILE.id };
+  }
+};
+
+export const saveConnectionProfiles = async (profiles, activeProfileId) => {
+  try {
+    await AsyncStorage.multiSet([
+      [PROFILES_KEY, JSON.stringify(profiles)],
+      [ACTIVE_PROFILE_KEY, activeProfileId]
+    ]);
+    return true;
+  } catch (error) {
+    console.error('Error saving connection profiles:', error);
+    return false;
+  }
+};
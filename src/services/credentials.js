@@ -0,0 +1,40 @@
+import * as SecureStore from 'expo-secure-store';
+
+// Account credentials for the radar server, kept in the device keystore
+
+const CREDENTIALS_KEY = 'sentinel_radar_credentials';
+
+export const AUTH_METHODS = [
+  { id: 'token', label: 'Access Token' },
+  { id: 'pairing_code', label: 'Pairing Code' }
+];
+
+export const loadCredentials = async () => {
+  try {
+    const stored = await SecureStore.getItemAsync(CREDENTIALS_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Error loading credentials:', error);
+    return null;
+  }
+};
+
+export const saveCredentials = async (credentials) => {
+  try {
+    await SecureStore.setItemAsync(CREDENTIALS_KEY, JSON.stringify(credentials));
+    return true;
+  } catch (error) {
+    console.error('Error saving credentials:', error);
+    return false;
+  }
+};
+
+export const clearCredentials = async () => {
+  try {
+    await SecureStore.deleteItemAsync(CREDENTIALS_KEY);
+    return true;
+  } catch (error) {
+    console.error('Error clearing credentials:', error);
+    return false;
+  }
+};
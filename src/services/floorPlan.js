@@ -0,0 +1,97 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+
+// Floor plan drawn under the radar view: an optional image and simple walls,
+// doors and furniture, placed in the room by a calibration.
+//
+// Elements are kept in plan coordinates (metres, before rotation and offset) so
+// re-calibrating moves the image and everything drawn on it together.
+
+const FLOOR_PLAN_KEY = '@sentinel/floor_plan';
+export const FLOOR_PLAN_DIRECTORY = `${FileSystem.documentDirectory}floorplan/`;
+
+export const FLOOR_PLAN_ELEMENTS = [
+  { id: 'wall', label: 'Wall' },
+  { id: 'door', label: 'Door' },
+  { id: 'furniture', label: 'Furniture' }
+];
+
+export const DEFAULT_CALIBRATION = {
+  imageWidth: 5, // Real width of the floor plan image, in metres
+  rotation: 0, // Degrees, clockwise on screen
+  offsetX: 0, // Where the plan's origin sits in room coordinates, in metres
+  offsetY: 0
+};
+
+export const DEFAULT_FLOOR_PLAN = {
+  image: null, // { uri, width, height } with the size in pixels
+  calibration: DEFAULT_CALIBRATION,
+  elements: [] // { id, type, label, points: [start, end] }
+};
+
+export const IMAGE_WIDTH_LIMITS = { min: 0.5, max: 100 };
+const MAX_OFFSET = 100;
+
+// Returns an error message for an invalid calibration, or null if it can be saved
+export const validateCalibration = ({ imageWidth, rotation, offsetX, offsetY }) => {
+  if (!(imageWidth >= IMAGE_WIDTH_LIMITS.min && imageWidth <= IMAGE_WIDTH_LIMITS.max)) {
+    return `Image width must be between ${IMAGE_WIDTH_LIMITS.min} and ${IMAGE_WIDTH_LIMITS.max} metres.`;
+  }
+  if (!(rotation >= -180 && rotation <= 180)) {
+    return 'Rotation must be between -180 and 180 degrees.';
+  }
+  if (!(Math.abs(offsetX) <= MAX_OFFSET && Math.abs(offsetY) <= MAX_OFFSET)) {
+    return `Offsets must be within ${MAX_OFFSET} metres of the room origin.`;
+  }
+  return null;
+};
+
+export const createElementId = () => `plan_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+
+export const loadFloorPlan = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(FLOOR_PLAN_KEY);
+    if (!stored) return DEFAULT_FLOOR_PLAN;
+
+    const plan = { ...DEFAULT_FLOOR_PLAN, ...JSON.parse(stored) };
+    const calibration = { ...DEFAULT_CALIBRATION, ...plan.calibration };
+    return {
+      ...plan,
+      calibration: validateCalibration(calibration) ? DEFAULT_CALIBRATION : calibration
+    };
+  } catch (error) {
+    console.error('Error loading floor plan:', error);
+    return DEFAULT_FLOOR_PLAN;
+  }
+};
+
+export const saveFloorPlan = async (plan) => {
+  try {
+    await AsyncStorage.setItem(FLOOR_PLAN_KEY, JSON.stringify(plan));
+    return true;
+  } catch (error) {
+    console.error('Error saving floor plan:', error);
+    return false;
+  }
+};
+
+// Copy a picked image into app storage so the plan survives the picker's cache
+// being cleared. Returns the new uri.
+export const importFloorPlanImage = async (sourceUri, name) => {
+  const info = await FileSystem.getInfoAsync(FLOOR_PLAN_DIRECTORY);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(FLOOR_PLAN_DIRECTORY, { intermediates: true });
+  }
+  const extension = (name.match(/\.[a-z0-9]+$/i) || ['.png'])[0];
+  const uri = `${FLOOR_PLAN_DIRECTORY}plan_${Date.now()}${extension}`;
+  await FileSystem.copyAsync({ from: sourceUri, to: uri });
+  return uri;
+};
+
+export const deleteFloorPlanImage = async (uri) => {
+  try {
+    await FileSystem.deleteAsync(uri, { idempotent: true });
+  } catch (error) {
+    console.error('Error deleting floor plan image:', error);
+  }
+};
@@ -0,0 +1,305 @@
+// Declared shapes of incoming radar messages. Every message is checked before it
+// is dispatched: entries that cannot be used are dropped (or optional fields
+// stripped) so one bad entry does not take down the screen, and messages that
+// cannot be repaired are rejected. Message types without a schema pass through.
+//
+// Field specs: { type, optional, fields, items, values, minItems, dropInvalid, stripIfInvalid, normalize }
+// where type is 'number', 'string', 'boolean', 'id' (string or number), 'any', 'object',
+// 'array', 'record' (object map) or 'collection' (array or object map). `normalize`
+// converts an accepted primitive value into the form the app expects.
+
+const number = { type: 'number' };
+const optionalNumber = { type: 'number', optional: true };
+const optionalString = { type: 'string', optional: true };
+
+// Epoch numbers (seconds or milliseconds) become ISO strings like the string timestamps
+const toIsoTimestamp = (value) => {
+  if (typeof value !== 'number') return value;
+  const ms = value < 1e12 ? value * 1000 : value;
+  return new Date(ms).toISOString();
+};
+
+const timestamp = { type: 'id', normalize: toIsoTimestamp };
+
+// Servers send the error as a string or as an object with a message
+const describeError = (value) => {
+  if (typeof value === 'string') return value;
+  if (value && typeof value === 'object') {
+    const text = value.message || value.error || value.reason || value.detail;
+    if (typeof text === 'string') return text;
+    try {
+      return JSON.stringify(value);
+    } catch (error) {
+      return 'Unknown error';
+    }
+  }
+  return String(value);
+};
+
+const point = {
+  type: 'object',
+  fields: { x: number, y: number }
+};
+
+const target = {
+  type: 'object',
+  fields: { id: { type: 'id' }, x: number, y: number, z: optionalNumber }
+};
+
+const zone = {
+  type: 'object',
+  fields: {
+    id: { type: 'id' },
+    name: { type: 'string' },
+    points: { type: 'array', items: point, minItems: 3 }
+  }
+};
+
+const zoneLogEntry = {
+  type: 'object',
+  fields: {
+    timestamp,
+    type: { type: 'string' },
+    targetCount: optionalNumber
+  }
+};
+
+const fallLogEntry = {
+  type: 'object',
+  fields: {
+    timestamp,
+    event_type: { type: 'string' },
+    target_id: { type: 'id' },
+    height: {
+      type: 'object',
+      fields: { current: number, unit: optionalString }
+    },
+    position: {
+      type: 'object',
+      fields: { x: number, y: number, z: number, unit: optionalString }
+    },
+    height_history: {
+      type: 'object',
+      optional: true,
+      stripIfInvalid: true,
+      fields: {
+        values: { type: 'array', items: number },
+        unit: optionalString
+      }
+    }
+  }
+};
+
+const fallDetectionSettings = {
+  type: 'object',
+  fields: {
+    enabled: { type: 'boolean' },
+    sensitivity: number,
+    frame_time_ms: number
+  }
+};
+
+export const MESSAGE_SCHEMAS = {
+  target_update: {
+    targets: { type: 'array', items: target, dropInvalid: true }
+  },
+  zones_response: {
+    zones: { type: 'collection', items: zone, dropInvalid: true }
+  },
+  zones_data: {
+    zones: { type: 'collection', items: zone, dropInvalid: true }
+  },
+  zone_deleted: {
+    zoneId: { type: 'id', optional: true }
+  },
+  zone_logs_response: {
+    logs: {
+      type: 'record',
+      values: { type: 'array', items: zoneLogEntry, dropInvalid: true }
+    }
+  },
+  fall_logs_response: {
+    logs: { type: 'array', items: fallLogEntry, dropInvalid: true }
+  },
+  fall_detection_settings: {
+    settings: fallDetectionSettings
+  },
+  fall_detection_update: {
+    settings: { ...fallDetectionSettings, optional: true }
+  },
+  error: {
+    error: { type: 'any', optional: true, normalize: describeError }
+  }
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const checkPrimitive = (value, type) => {
+  switch (type) {
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'string':
+      return typeof value === 'string';
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'id':
+      return typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+    case 'any':
+      return true;
+    default:
+      return true;
+  }
+};
+
+// Validate a list of entries, dropping the bad ones if the spec allows it
+const validateEntries = (entries, spec, path, issues) => {
+  let repaired = false;
+  const result = [];
+
+  for (const [key, entry] of entries) {
+    const entryPath = `${path}[${key}]`;
+    const checked = validateValue(entry, spec.items || spec.values, entryPath, issues);
+    if (checked.ok) {
+      result.push([key, checked.value]);
+      repaired = repaired || checked.repaired;
+    } else if (spec.dropInvalid) {
+      issues.push(`${entryPath} dropped`);
+      repaired = true;
+    } else {
+      return { ok: false };
+    }
+  }
+
+  if (spec.minItems && result.length < spec.minItems) {
+    issues.push(`${path} needs at least ${spec.minItems} entries`);
+    return { ok: false };
+  }
+  return { ok: true, entries: result, repaired };
+};
+
+const validateValue = (value, spec, path, issues) => {
+  switch (spec.type) {
+    case 'object': {
+      if (!isPlainObject(value)) {
+        issues.push(`${path} is not an object`);
+        return { ok: false };
+      }
+      return validateFields(value, spec.fields, path, issues);
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        issues.push(`${path} is not an array`);
+        return { ok: false };
+      }
+      const checked = validateEntries(value.map((entry, i) => [i, entry]), spec, path, issues);
+      return checked.ok
+        ? { ok: true, value: checked.entries.map(([, entry]) => entry), repaired: checked.repaired }
+        : checked;
+    }
+
+    case 'record':
+    case 'collection': {
+      if (spec.type === 'collection' && Array.isArray(value)) {
+        return validateValue(value, { ...spec, type: 'array' }, path, issues);
+      }
+      if (!isPlainObject(value)) {
+        issues.push(`${path} is not an object`);
+        return { ok: false };
+      }
+      const checked = validateEntries(Object.entries(value), spec, path, issues);
+      return checked.ok
+        ? { ok: true, value: Object.fromEntries(checked.entries), repaired: checked.repaired }
+        : checked;
+    }
+
+    default:
+      if (!checkPrimitive(value, spec.type)) {
+        issues.push(`${path} is not a valid ${spec.type}`);
+        return { ok: false };
+      }
+      return { ok: true, value: spec.normalize ? spec.normalize(value) : value, repaired: false };
+  }
+};
+
+const validateFields = (object, fields, path, issues) => {
+  const result = { ...object };
+  let repaired = false;
+
+  for (const [name, spec] of Object.entries(fields)) {
+    const fieldPath = path ? `${path}.${name}` : name;
+    const value = object[name];
+
+    if (value === undefined || value === null) {
+      if (spec.optional) continue;
+      issues.push(`${fieldPath} is missing`);
+      return { ok: false };
+    }
+
+    const checked = validateValue(value, spec, fieldPath, issues);
+    if (checked.ok) {
+      result[name] = checked.value;
+      repaired = repaired || checked.repaired;
+    } else if (spec.optional && spec.stripIfInvalid) {
+      issues.push(`${fieldPath} removed`);
+      delete result[name];
+      repaired = true;
+    } else {
+      return { ok: false };
+    }
+  }
+
+  return { ok: true, value: result, repaired };
+};
+
+// Returns { valid, repaired, data, issues }, where data is the repaired message
+export const validateMessage = (message) => {
+  const issues = [];
+  if (!isPlainObject(message)) {
+    return { valid: false, repaired: false, data: null, issues: ['message is not an object'] };
+  }
+
+  const schema = MESSAGE_SCHEMAS[message.type];
+  if (!schema) {
+    return { valid: true, repaired: false, data: message, issues };
+  }
+
+  const checked = validateFields(message, schema, '', issues);
+  return {
+    valid: checked.ok,
+    repaired: checked.ok && checked.repaired,
+    data: checked.ok ? checked.value : null,
+    issues
+  };
+};
+
+const MAX_RECENT_ISSUES = 20;
+
+// Running counts of accepted, repaired and rejected messages per type
+export const createValidationReport = () => ({
+  since: new Date().toISOString(),
+  byType: {},
+  recentIssues: []
+});
+
+export const recordValidation = (report, type, result) => {
+  const counts = report.byType[type] || { accepted: 0, repaired: 0, rejected: 0 };
+  report.byType[type] = {
+    accepted: counts.accepted + (result.valid ? 1 : 0),
+    repaired: counts.repaired + (result.repaired ? 1 : 0),
+    rejected: counts.rejected + (result.valid ? 0 : 1)
+  };
+
+  if (result.issues.length > 0) {
+    report.recentIssues = [
+      ...report.recentIssues.slice(-(MAX_RECENT_ISSUES - 1)),
+      {
+        time: new Date().toLocaleTimeString(),
+        type,
+        rejected: !result.valid,
+        issues: result.issues
+      }
+    ];
+  }
+};
@@ -0,0 +1,59 @@
+// Radar protocol versioning and the capabilities a server can advertise in its
+// reply to the client's `hello`.
+
+// Protocol version spoken by this app, and the oldest server version it can talk to
+export const PROTOCOL_VERSION = 1;
+export const MIN_SERVER_PROTOCOL_VERSION = 1;
+
+export const Capability = {
+  ZONES: 'zones',
+  ZONE_LOGS: 'zone_logs',
+  ZONE_EDITING: 'zone_editing',
+  FALL_DETECTION: 'fall_detection',
+  DEVICE_INFO: 'device_info',
+  HISTORY: 'history'
+};
+
+// What firmware from before the hello exchange supports
+export const LEGACY_CAPABILITIES = [
+  Capability.ZONES,
+  Capability.ZONE_LOGS,
+  Capability.FALL_DETECTION
+];
+
+export const buildHelloMessage = () => ({
+  type: 'hello',
+  protocol_version: PROTOCOL_VERSION,
+  client: 'sentinel-app'
+});
+
+// Server description used when it does not answer the hello
+export const legacyServerInfo = () => ({
+  protocolVersion: null,
+  minClientVersion: null,
+  firmware: null,
+  capabilities: LEGACY_CAPABILITIES,
+  legacy: true,
+  compatible: true
+});
+
+export const parseHelloResponse = (data) => {
+  const protocolVersion = Number.isInteger(data.protocol_version) ? data.protocol_version : null;
+  const minClientVersion = Number.isInteger(data.min_client_version) ? data.min_client_version : null;
+
+  return {
+    protocolVersion,
+    minClientVersion,
+    firmware: data.firmware || null,
+    capabilities: Array.isArray(data.capabilities) ? data.capabilities : LEGACY_CAPABILITIES,
+    legacy: false,
+    // The server may be newer than us, as long as it still accepts our version
+    compatible: protocolVersion !== null &&
+      protocolVersion >= MIN_SERVER_PROTOCOL_VERSION &&
+      (minClientVersion === null || minClientVersion <= PROTOCOL_VERSION)
+  };
+};
+
+// Before the first hello everything is assumed available
+export const hasCapability = (serverInfo, capability) =>
+  !serverInfo || serverInfo.capabilities.includes(capability);
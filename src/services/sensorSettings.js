@@ -0,0 +1,72 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Physical properties of the radar sensor and how it is mounted in the room,
+// which decide how its data is drawn. Persisted on the device.
+
+const SENSOR_SETTINGS_KEY = '@sentinel/sensor_settings';
+
+export const MOUNT_TYPES = [
+  { id: 'wall', label: 'Wall' },
+  { id: 'ceiling', label: 'Ceiling' }
+];
+
+// The defaults put the room origin at the sensor, so room and sensor
+// coordinates are the same until the mounting is configured
+export const DEFAULT_SENSOR_SETTINGS = {
+  fieldOfView: 120, // Total coverage angle, in degrees: horizontal on a wall, the cone on a ceiling
+  maxRange: 6, // In metres
+  mountType: 'wall',
+  rotation: 0, // Degrees clockwise from facing down the screen
+  positionX: 0, // Sensor position in the room, in metres
+  positionY: 0,
+  mountHeight: 2.4 // Metres above the floor, used for ceiling coverage
+};
+
+export const FIELD_OF_VIEW_LIMITS = { min: 10, max: 180 };
+export const MAX_RANGE_LIMITS = { min: 0.5, max: 50 };
+export const MOUNT_HEIGHT_LIMITS = { min: 0.5, max: 10 };
+const MAX_POSITION = 50;
+
+// Returns an error message for invalid settings, or null if they can be saved
+export const validateSensorSettings = ({ fieldOfView, maxRange, mountType, rotation, positionX, positionY, mountHeight }) => {
+  if (!(fieldOfView >= FIELD_OF_VIEW_LIMITS.min && fieldOfView <= FIELD_OF_VIEW_LIMITS.max)) {
+    return `Field of view must be between ${FIELD_OF_VIEW_LIMITS.min} and ${FIELD_OF_VIEW_LIMITS.max} degrees.`;
+  }
+  if (!(maxRange >= MAX_RANGE_LIMITS.min && maxRange <= MAX_RANGE_LIMITS.max)) {
+    return `Maximum range must be between ${MAX_RANGE_LIMITS.min} and ${MAX_RANGE_LIMITS.max} metres.`;
+  }
+  if (!MOUNT_TYPES.some(type => type.id === mountType)) {
+    return 'Please choose a wall or ceiling mount.';
+  }
+  if (!(rotation >= -180 && rotation <= 180)) {
+    return 'Rotation must be between -180 and 180 degrees.';
+  }
+  if (!(Math.abs(positionX) <= MAX_POSITION && Math.abs(positionY) <= MAX_POSITION)) {
+    return `Sensor position must be within ${MAX_POSITION} metres of the room origin.`;
+  }
+  if (!(mountHeight >= MOUNT_HEIGHT_LIMITS.min && mountHeight <= MOUNT_HEIGHT_LIMITS.max)) {
+    return `Mounting height must be between ${MOUNT_HEIGHT_LIMITS.min} and ${MOUNT_HEIGHT_LIMITS.max} metres.`;
+  }
+  return null;
+};
+
+export const loadSensorSettings = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(SENSOR_SETTINGS_KEY);
+    const settings = { ...DEFAULT_SENSOR_SETTINGS, ...(stored ? JSON.parse(stored) : {}) };
+    return validateSensorSettings(settings) ? DEFAULT_SENSOR_SETTINGS : settings;
+  } catch (error) {
+    console.error('Error loading sensor settings:', error);
+    return DEFAULT_SENSOR_SETTINGS;
+  }
+};
+
+export const saveSensorSettings = async (settings) => {
+  try {
+    await AsyncStorage.setItem(SENSOR_SETTINGS_KEY, JSON.stringify(settings));
+    return true;
+  } catch (error) {
+    console.error('Error saving sensor settings:', error);
+    return false;
+  }
+};
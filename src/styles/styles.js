@@ -262,6 +262,17 @@ export const styles = StyleSheet.create({
     color: '#666',
     flexShrink: 0,
   },
+  offlineBanner: {
+    backgroundColor: '#ff3b30',
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+  },
+  offlineBannerText: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: '600',
+    textAlign: 'center',
+  },
   radarContainer: {
     flex: 1,
     backgroundColor: '#ff0000',
@@ -417,6 +428,111 @@ export const styles = StyleSheet.create({
     shadowRadius: 4.84,
     elevation: 7,
   },
+  trailButton: {
+    position: 'absolute',
+    bottom: 18,
+    left: 10,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 16,
+    backgroundColor: '#ffffff',
+    borderWidth: 1,
+    borderColor: '#5856D6',
+    zIndex: 2,
+  },
+  heatmapControls: {
+    position: 'absolute',
+    bottom: 90,
+    left: 10,
+    flexDirection: 'row',
+    zIndex: 2,
+  },
+  overlayChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    marginRight: 6,
+    borderRadius: 16,
+    backgroundColor: '#ffffff',
+    borderWidth: 1,
+    borderColor: '#5856D6',
+  },
+  overlayChipDisabled: {
+    opacity: 0.4,
+  },
+  fitButton: {
+    position: 'absolute',
+    top: 10,
+    right: 10,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    backgroundColor: '#ffffff',
+    borderWidth: 1,
+    borderColor: '#5856D6',
+    zIndex: 2,
+  },
+  snapshotButton: {
+    top: 46,
+  },
+  zoneToolbar: {
+    position: 'absolute',
+    top: 10,
+    left: 10,
+    right: 80,
+    padding: 10,
+    borderRadius: 12,
+    backgroundColor: 'rgba(255, 255, 255, 0.95)',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.15,
+    shadowRadius: 4,
+    elevation: 4,
+    zIndex: 3,
+  },
+  zoneToolbarTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  zoneToolbarHint: {
+    fontSize: 11,
+    color: '#8e8e93',
+    marginTop: 2,
+  },
+  zoneToolbarButtons: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  zoneToolbarReadout: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: '#333',
+    marginTop: 8,
+  },
+  snapshotCanvas: {
+    position: 'absolute',
+    left: -10000,
+    top: 0,
+    backgroundColor: '#ffffff',
+  },
+  smoothingButton: {
+    bottom: 54,
+  },
+  drawButton: {
+    bottom: 126,
+  },
+  trailButtonActive: {
+    backgroundColor: '#5856D6',
+  },
+  trailButtonText: {
+    color: '#5856D6',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  trailButtonTextActive: {
+    color: '#ffffff',
+  },
   zoneButtonText: {
     color: '#ffffff',
     fontSize: 24,
@@ -453,6 +569,26 @@ export const styles = StyleSheet.create({
   loadingIndicator: {
     marginLeft: 8,
   },
+  zoneSyncBadge: {
+    marginLeft: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+  },
+  zoneSyncBadgeSynced: {
+    backgroundColor: '#8e8e93',
+  },
+  zoneSyncBadgePending: {
+    backgroundColor: '#ffcc00',
+  },
+  zoneSyncBadgeFailed: {
+    backgroundColor: '#ff3b30',
+  },
+  zoneSyncText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#ffffff',
+  },
   modalContainer: {
     flex: 1,
     backgroundColor: 'rgba(0, 0, 0, 0.5)',
@@ -9,4 +9,27 @@ export const RADAR_CONFIG = {
   gridSize: 8,
   targetWidth: 15,
   targetHeight: 25,
-}; 
\ No newline at end of file
+}; 
+// Target trail lengths the trail toggle cycles through, in ms (0 = off)
+export const TRAIL_DURATIONS = [0, 10000, 30000, 60000];
+export const TRAIL_SEGMENTS = 5; // Trails fade out in this many steps
+export const TRAIL_MIN_STEP = 0.05; // Ignore movements smaller than this, in metres
+
+// Colours used to tell targets apart, picked by target id
+export const TARGET_COLORS = ['#5856D6', '#ff9500', '#34c759', '#ff2d55', '#007aff', '#af52de'];
+
+// Target smoothing presets, from raw sensor positions to heavy smoothing.
+// alpha and beta are the alpha-beta filter gains for position and velocity.
+// With alpha at 1 positions are raw, but beta still estimates the velocity.
+export const SMOOTHING_LEVELS = [
+  { id: 'off', label: 'Off', alpha: 1, beta: 0.2 },
+  { id: 'low', label: 'Low', alpha: 0.7, beta: 0.3 },
+  { id: 'medium', label: 'Medium', alpha: 0.5, beta: 0.15 },
+  { id: 'high', label: 'High', alpha: 0.3, beta: 0.05 }
+];
+
+// Posture bands by target height (z) in metres: lying below `lying`, sitting
+// below `sitting`, standing above it
+export const POSTURE_THRESHOLDS = { lying: 0.5, sitting: 1.2 };
+export const HEIGHT_HISTORY_DURATION = 10000; // How much height history the height panel shows, in ms
+export const ZONE_SNAP_STEP = 0.25; // Grid that zone points snap to while drawing, in metres
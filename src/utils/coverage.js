@@ -0,0 +1,60 @@
+import { roomToSensor, sensorToRoom } from './sensorMount';
+
+// Geometry of the sensor's coverage: a fan in front of a wall sensor, or a disc
+// on the floor under a ceiling sensor. Angles are measured from the sensor's
+// boresight (the +y axis of the sensor frame), positive towards +x. Points
+// passed in and returned are in room coordinates.
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const MAX_CONE_ANGLE = 179; // A 180° cone would cover an infinite floor
+
+// Angle of a point off boresight, in degrees; the point is in the sensor frame
+export const bearingOf = (point) => (Math.atan2(point.x, point.y) * 180) / Math.PI;
+
+// How far across the floor the sensor sees. From the ceiling the footprint of
+// the cone is limited by the mounting height as well as the range.
+export const coverageRadius = ({ mountType, fieldOfView, maxRange, mountHeight }) =>
+  (mountType === 'ceiling'
+    ? Math.min(maxRange, mountHeight * Math.tan(toRadians(Math.min(fieldOfView, MAX_CONE_ANGLE) / 2)))
+    : maxRange);
+
+export const isInCoverage = (point, settings) => {
+  const local = roomToSensor(point, settings);
+  const range = Math.hypot(local.x, local.y);
+  if (settings.mountType === 'ceiling') {
+    return range <= coverageRadius(settings);
+  }
+  return range <= settings.maxRange && Math.abs(bearingOf(local)) <= settings.fieldOfView / 2;
+};
+
+// Point at a distance and bearing from the sensor
+export const polarToPoint = (range, bearing, settings) => sensorToRoom({
+  x: range * Math.sin(toRadians(bearing)),
+  y: range * Math.cos(toRadians(bearing))
+}, settings);
+
+// SVG path for an arc of the given range across the field of view. With
+// `closed`, the path runs through the sensor and forms the coverage wedge.
+// Ceiling sensors see all around, so their arcs are full circles.
+export const coverageArcPath = (view, range, settings, closed = false) => {
+  const sensorX = view.toSvgX(settings.positionX);
+  const sensorY = view.toSvgY(settings.positionY);
+  const radius = range * view.pxPerMetre;
+
+  if (settings.mountType === 'ceiling') {
+    return `M ${sensorX - radius} ${sensorY} ` +
+      `A ${radius} ${radius} 0 1 0 ${sensorX + radius} ${sensorY} ` +
+      `A ${radius} ${radius} 0 1 0 ${sensorX - radius} ${sensorY} Z`;
+  }
+
+  const half = settings.fieldOfView / 2;
+  const start = polarToPoint(range, -half, settings);
+  const end = polarToPoint(range, half, settings);
+  const largeArc = settings.fieldOfView > 180 ? 1 : 0;
+
+  const arc = `A ${radius} ${radius} 0 ${largeArc} 0 ${view.toSvgX(end.x)} ${view.toSvgY(end.y)}`;
+  return closed
+    ? `M ${sensorX} ${sensorY} L ${view.toSvgX(start.x)} ${view.toSvgY(start.y)} ${arc} Z`
+    : `M ${view.toSvgX(start.x)} ${view.toSvgY(start.y)} ${arc}`;
+};
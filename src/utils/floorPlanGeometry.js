@@ -0,0 +1,82 @@
+// Conversions between floor plan coordinates and room coordinates, and plain
+// language descriptions of where a point is on the plan.
+
+const NEARBY_DISTANCE = 1; // Metres within which a target counts as next to something
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Rotate by the calibration's rotation, then move by its offset
+export const planToRoom = (point, { rotation, offsetX, offsetY }) => {
+  const angle = toRadians(rotation);
+  return {
+    x: point.x * Math.cos(angle) - point.y * Math.sin(angle) + offsetX,
+    y: point.x * Math.sin(angle) + point.y * Math.cos(angle) + offsetY
+  };
+};
+
+export const roomToPlan = (point, { rotation, offsetX, offsetY }) => {
+  const angle = toRadians(-rotation);
+  const x = point.x - offsetX;
+  const y = point.y - offsetY;
+  return {
+    x: x * Math.cos(angle) - y * Math.sin(angle),
+    y: x * Math.sin(angle) + y * Math.cos(angle)
+  };
+};
+
+// Outline of an element in plan coordinates. Furniture is the rectangle with
+// its two points as opposite corners; walls and doors are the line between them.
+export const elementOutline = (element) => {
+  const [start, end] = element.points;
+  if (element.type !== 'furniture') return [start, end];
+  return [
+    start,
+    { x: end.x, y: start.y },
+    end,
+    { x: start.x, y: end.y }
+  ];
+};
+
+const distanceToSegment = (point, start, end) => {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.min(Math.max(((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared, 0), 1);
+  return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy));
+};
+
+// Distance from a plan point to an element, zero inside furniture
+const distanceToElement = (point, element) => {
+  const [start, end] = element.points;
+  if (element.type === 'furniture' &&
+      point.x >= Math.min(start.x, end.x) && point.x <= Math.max(start.x, end.x) &&
+      point.y >= Math.min(start.y, end.y) && point.y <= Math.max(start.y, end.y)) {
+    return 0;
+  }
+  const outline = elementOutline(element);
+  const edges = element.type === 'furniture'
+    ? outline.map((corner, index) => [corner, outline[(index + 1) % outline.length]])
+    : [outline];
+  return Math.min(...edges.map(([a, b]) => distanceToSegment(point, a, b)));
+};
+
+// "at Bed" or "next to Wardrobe" for the closest labelled furniture or door,
+// or null if the point is not near any of them
+export const describeLocation = (point, floorPlan) => {
+  if (!floorPlan || floorPlan.elements.length === 0) return null;
+
+  const planPoint = roomToPlan(point, floorPlan.calibration);
+  let closest = null;
+  floorPlan.elements.forEach(element => {
+    if (element.type === 'wall' || !element.label) return;
+    const distance = distanceToElement(planPoint, element);
+    if (distance <= NEARBY_DISTANCE && (!closest || distance < closest.distance)) {
+      closest = { element, distance };
+    }
+  });
+
+  if (!closest) return null;
+  return closest.distance === 0 ? `at ${closest.element.label}` : `next to ${closest.element.label}`;
+};
@@ -0,0 +1,106 @@
+import { RADAR_CONFIG } from './constants';
+import { pickGridStep } from './radarView';
+import { coverageArcPath, coverageRadius } from './coverage';
+
+// Builds a standalone SVG of the radar view for incident reports: the grid,
+// coverage, zones, trails and targets as currently shown, with a legend and
+// timestamp underneath so nothing needs to be cropped out of a screenshot.
+
+const LEGEND_HEIGHT = 110;
+
+export const SNAPSHOT_SIZE = {
+  width: RADAR_CONFIG.width,
+  height: RADAR_CONFIG.height + LEGEND_HEIGHT
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const pointList = (points, view) =>
+  points.map(point => `${round(view.toSvgX(point.x))},${round(view.toSvgY(point.y))}`).join(' ');
+
+// `trails` is the output of useTargetTrails, or empty to leave trails out
+export const buildSnapshotSvg = ({ view, sensorSettings, zones, activeZoneIds, targets, trails = [], timestamp = Date.now() }) => {
+  const { width, height, targetWidth, targetHeight } = RADAR_CONFIG;
+  const { bounds } = view;
+  const gridStep = pickGridStep(view.pxPerMetre);
+  const parts = [];
+
+  // Grid
+  for (let x = Math.ceil(bounds.minX / gridStep) * gridStep; x <= bounds.maxX; x += gridStep) {
+    parts.push(`<line x1="${round(view.toSvgX(x))}" y1="0" x2="${round(view.toSvgX(x))}" y2="${height}" stroke="#e8e8e8" stroke-width="1"/>`);
+  }
+  for (let y = Math.ceil(bounds.minY / gridStep) * gridStep; y <= bounds.maxY; y += gridStep) {
+    parts.push(`<line x1="0" y1="${round(view.toSvgY(y))}" x2="${width}" y2="${round(view.toSvgY(y))}" stroke="#e8e8e8" stroke-width="1"/>`);
+  }
+
+  // Coverage and sensor
+  parts.push(`<path d="${coverageArcPath(view, coverageRadius(sensorSettings), sensorSettings, true)}" fill="rgba(88,86,214,0.04)" stroke="#5856D6" stroke-opacity="0.5" stroke-width="1"/>`);
+  const sensorX = round(view.toSvgX(sensorSettings.positionX));
+  const sensorY = round(view.toSvgY(sensorSettings.positionY));
+  parts.push(`<circle cx="${sensorX}" cy="${sensorY}" r="8" fill="#5856D6"/>`);
+
+  // Zones
+  zones.forEach(zone => {
+    const isActive = activeZoneIds.has(zone.id);
+    parts.push(`<polygon points="${pointList(zone.points, view)}" fill="${isActive ? 'rgba(255,59,48,0.1)' : 'rgba(52,199,89,0.1)'}" stroke="${isActive ? '#FF3B30' : '#34C759'}" stroke-width="2"/>`);
+    parts.push(`<text x="${round(view.toSvgX(zone.points[0].x))}" y="${round(view.toSvgY(zone.points[0].y) - 10)}" fill="#000000" font-size="12" text-anchor="middle">${escapeXml(zone.name)}</text>`);
+  });
+
+  // Trails
+  trails.forEach(trail => {
+    trail.segments.forEach(segment => {
+      parts.push(`<polyline points="${pointList(segment.points, view)}" fill="none" stroke="${trail.color}" stroke-opacity="${round(segment.opacity * 0.8)}" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"/>`);
+    });
+  });
+
+  // Targets
+  targets.forEach(target => {
+    const x = round(view.toSvgX(target.x));
+    const y = round(view.toSvgY(target.y));
+    parts.push(`<circle cx="${x}" cy="${y}" r="${targetWidth * 1.5}" fill="rgba(88,86,214,0.2)" stroke="rgba(88,86,214,0.4)" stroke-width="2"/>`);
+    parts.push(`<rect x="${x - targetWidth / 2}" y="${y - targetHeight / 2}" width="${targetWidth}" height="${targetHeight}" rx="2" fill="#5856D6" opacity="0.9"/>`);
+    parts.push(`<text x="${x}" y="${y - targetHeight / 2 - 5}" fill="#000000" font-size="10" font-weight="bold" text-anchor="middle">ID: ${escapeXml(target.id)}</text>`);
+    parts.push(`<text x="${x}" y="${y + targetHeight / 2 + 12}" fill="#8e8e93" font-size="8" text-anchor="middle">(${target.x.toFixed(2)}, ${target.y.toFixed(2)})</text>`);
+  });
+
+  // Legend
+  const legendTop = height;
+  const legendItems = [
+    `<rect x="10" y="${legendTop + 48}" width="14" height="10" fill="rgba(255,59,48,0.1)" stroke="#FF3B30" stroke-width="2"/>`,
+    `<text x="30" y="${legendTop + 57}" font-size="10" fill="#333">Zone occupied</text>`,
+    `<rect x="110" y="${legendTop + 48}" width="14" height="10" fill="rgba(52,199,89,0.1)" stroke="#34C759" stroke-width="2"/>`,
+    `<text x="130" y="${legendTop + 57}" font-size="10" fill="#333">Zone empty</text>`,
+    `<rect x="204" y="${legendTop + 46}" width="8" height="13" rx="2" fill="#5856D6"/>`,
+    `<text x="218" y="${legendTop + 57}" font-size="10" fill="#333">Target</text>`,
+    `<circle cx="17" cy="${legendTop + 74}" r="5" fill="#5856D6"/>`,
+    `<text x="30" y="${legendTop + 78}" font-size="10" fill="#333">Sensor</text>`,
+    `<line x1="104" y1="${legendTop + 74}" x2="124" y2="${legendTop + 74}" stroke="#e8e8e8" stroke-width="2"/>`,
+    `<text x="130" y="${legendTop + 78}" font-size="10" fill="#333">Grid ${gridStep} m</text>`
+  ];
+  if (trails.length > 0) {
+    legendItems.push(
+      `<line x1="196" y1="${legendTop + 74}" x2="214" y2="${legendTop + 74}" stroke="#5856D6" stroke-width="3" stroke-linecap="round"/>`,
+      `<text x="218" y="${legendTop + 78}" font-size="10" fill="#333">Trail</text>`
+    );
+  }
+  const activeCount = zones.filter(zone => activeZoneIds.has(zone.id)).length;
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${SNAPSHOT_SIZE.width}" height="${SNAPSHOT_SIZE.height}" viewBox="0 0 ${SNAPSHOT_SIZE.width} ${SNAPSHOT_SIZE.height}" font-family="sans-serif">`,
+    `<rect x="0" y="0" width="${SNAPSHOT_SIZE.width}" height="${SNAPSHOT_SIZE.height}" fill="#ffffff"/>`,
+    `<svg x="0" y="0" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" overflow="hidden">`,
+    ...parts,
+    '</svg>',
+    `<line x1="0" y1="${legendTop}" x2="${width}" y2="${legendTop}" stroke="#d8d8d8" stroke-width="1"/>`,
+    `<text x="10" y="${legendTop + 18}" font-size="12" font-weight="bold" fill="#333">Sentinel radar snapshot</text>`,
+    `<text x="10" y="${legendTop + 34}" font-size="10" fill="#666">${escapeXml(new Date(timestamp).toLocaleString())} - ${targets.length} target(s), ${activeCount} of ${zones.length} zone(s) occupied</text>`,
+    ...legendItems,
+    '</svg>'
+  ].join('\n');
+};
@@ -0,0 +1,107 @@
+import { RADAR_CONFIG } from './constants';
+
+// Mapping between radar coordinates (metres, sensor at the origin, y pointing
+// away from the sensor) and the SVG canvas, for a given zoom and pan.
+
+export const MIN_ZOOM = 0.25;
+export const MAX_ZOOM = 8;
+export const DEFAULT_VIEW = { zoom: 1, panX: 0, panY: 0 };
+
+// Where the sensor sits on the canvas before panning
+export const SENSOR_ORIGIN = { x: RADAR_CONFIG.width / 2, y: 15 };
+
+// Grid spacings to choose from, in metres, and the smallest spacing on screen
+const GRID_STEPS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 50];
+const MIN_GRID_SPACING = 30;
+
+const FIT_PADDING = 0.75; // Metres of space left around everything auto-fit frames
+
+export const clampZoom = (zoom) => Math.min(Math.max(zoom, MIN_ZOOM), MAX_ZOOM);
+
+export const createRadarView = ({ zoom, panX, panY }) => {
+  const { width, height, scale } = RADAR_CONFIG;
+  const pxPerMetre = scale * zoom;
+  const originX = SENSOR_ORIGIN.x + panX;
+  const originY = SENSOR_ORIGIN.y + panY;
+
+  return {
+    zoom,
+    panX,
+    panY,
+    pxPerMetre,
+    originX,
+    originY,
+    toSvgX: (x) => originX + x * pxPerMetre,
+    toSvgY: (y) => originY + y * pxPerMetre,
+    toWorld: (svgX, svgY) => ({
+      x: (svgX - originX) / pxPerMetre,
+      y: (svgY - originY) / pxPerMetre
+    }),
+    // Area of the radar plane visible on the canvas, in metres
+    bounds: {
+      minX: -originX / pxPerMetre,
+      maxX: (width - originX) / pxPerMetre,
+      minY: -originY / pxPerMetre,
+      maxY: (height - originY) / pxPerMetre
+    }
+  };
+};
+
+// Grid spacing that keeps lines readable at this zoom
+export const pickGridStep = (pxPerMetre) =>
+  GRID_STEPS.find(step => step * pxPerMetre >= MIN_GRID_SPACING) || GRID_STEPS[GRID_STEPS.length - 1];
+
+// Zoom by `factor` keeping the canvas point (focalX, focalY) in place
+export const zoomView = (view, factor, focalX, focalY) => {
+  const current = createRadarView(view);
+  const zoom = clampZoom(view.zoom * factor);
+  const world = current.toWorld(focalX, focalY);
+  const pxPerMetre = RADAR_CONFIG.scale * zoom;
+  return {
+    zoom,
+    panX: focalX - world.x * pxPerMetre - SENSOR_ORIGIN.x,
+    panY: focalY - world.y * pxPerMetre - SENSOR_ORIGIN.y
+  };
+};
+
+// View that frames every point (and the sensor itself)
+export const fitView = (points) => {
+  const { width, height, scale } = RADAR_CONFIG;
+  const xs = [0, ...points.map(point => point.x)];
+  const ys = [0, ...points.map(point => point.y)];
+  const minX = Math.min(...xs) - FIT_PADDING;
+  const maxX = Math.max(...xs) + FIT_PADDING;
+  const minY = Math.min(...ys) - FIT_PADDING;
+  const maxY = Math.max(...ys) + FIT_PADDING;
+
+  const zoom = clampZoom(Math.min(width / ((maxX - minX) * scale), height / ((maxY - minY) * scale)));
+  const pxPerMetre = scale * zoom;
+  return {
+    zoom,
+    panX: width / 2 - ((minX + maxX) / 2) * pxPerMetre - SENSOR_ORIGIN.x,
+    panY: height / 2 - ((minY + maxY) / 2) * pxPerMetre - SENSOR_ORIGIN.y
+  };
+};
+
+// Same zoom, panned so a point is in the middle of the canvas
+export const centreOn = (view, point) => {
+  const { width, height, scale } = RADAR_CONFIG;
+  const pxPerMetre = scale * view.zoom;
+  return {
+    zoom: view.zoom,
+    panX: width / 2 - point.x * pxPerMetre - SENSOR_ORIGIN.x,
+    panY: height / 2 - point.y * pxPerMetre - SENSOR_ORIGIN.y
+  };
+};
+
+// Convert a point in the on-screen view to canvas units, given the view's
+// layout size. The canvas is scaled to fit and centred ("contain").
+export const layoutToSvg = (layout, x, y) => {
+  const { width, height } = RADAR_CONFIG;
+  const factor = Math.min(layout.width / width, layout.height / height);
+  return {
+    x: (x - (layout.width - width * factor) / 2) / factor,
+    y: (y - (layout.height - height * factor) / 2) / factor,
+    factor
+  };
+};
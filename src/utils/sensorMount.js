@@ -0,0 +1,35 @@
+// Conversions between the sensor's own frame and room coordinates, given where
+// and how the sensor is mounted. Both are in metres with y pointing down the
+// screen. In the sensor frame the sensor is at the origin; a wall sensor looks
+// along +y, while a ceiling sensor reports x and y across the floor as seen
+// from above. Heights (z) are the same in both frames.
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Rotate by the mount rotation (clockwise on screen), then move to the mount position
+export const sensorToRoom = (point, { rotation, positionX, positionY }) => {
+  const angle = toRadians(rotation);
+  return {
+    ...point,
+    x: point.x * Math.cos(angle) - point.y * Math.sin(angle) + positionX,
+    y: point.x * Math.sin(angle) + point.y * Math.cos(angle) + positionY
+  };
+};
+
+export const roomToSensor = (point, { rotation, positionX, positionY }) => {
+  const angle = toRadians(-rotation);
+  const x = point.x - positionX;
+  const y = point.y - positionY;
+  return {
+    ...point,
+    x: x * Math.cos(angle) - y * Math.sin(angle),
+    y: x * Math.sin(angle) + y * Math.cos(angle)
+  };
+};
+
+export const isIdentityMount = ({ rotation, positionX, positionY }) =>
+  rotation === 0 && positionX === 0 && positionY === 0;
+
+// Targets as reported by the sensor, moved into room coordinates
+export const targetsToRoom = (targets, settings) =>
+  (isIdentityMount(settings) ? targets : targets.map(target => sensorToRoom(target, settings)));
@@ -0,0 +1,154 @@
+import { isInCoverage } from './coverage';
+import { polygonArea } from './zoneShapes';
+
+// Checks on a zone's outline before it is saved, and fixes for outlines whose
+// edges cross. Zone membership is an even-odd test, which gives surprising
+// results for a bow-tie, so crossing edges are an error. Overlaps and points
+// outside coverage are only warnings.
+
+const MIN_AREA = 0.01; // Zones smaller than this, in square metres, have no usable area
+const EPSILON = 1e-9;
+
+// Even-odd test; which side points on the outline fall on is undefined
+export const pointInPolygon = (point, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const xi = polygon[i].x, yi = polygon[i].y;
+    const xj = polygon[j].x, yj = polygon[j].y;
+
+    if (((yi > point.y) !== (yj > point.y)) &&
+        (point.x < (xj - xi) * (point.y - yi) / (yj - yi) + xi)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Which side of the line o-a the point b is on: positive, negative or 0 when on it
+const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+const sign = (value) => (Math.abs(value) < EPSILON ? 0 : Math.sign(value));
+
+// Whether r lies within the bounding box of p-q, for points known to be on its line
+const withinBox = (p, q, r) =>
+  Math.min(p.x, q.x) - EPSILON <= r.x && r.x <= Math.max(p.x, q.x) + EPSILON &&
+  Math.min(p.y, q.y) - EPSILON <= r.y && r.y <= Math.max(p.y, q.y) + EPSILON;
+
+// Whether segments a-b and c-d meet. With `touching` false only proper
+// crossings count, so zones sharing an edge do not overlap.
+const segmentsIntersect = (a, b, c, d, touching = true) => {
+  const d1 = sign(cross(c, d, a));
+  const d2 = sign(cross(c, d, b));
+  const d3 = sign(cross(a, b, c));
+  const d4 = sign(cross(a, b, d));
+
+  if (d1 * d2 < 0 && d3 * d4 < 0) return true;
+  if (!touching) return false;
+  return (d1 === 0 && withinBox(c, d, a)) ||
+    (d2 === 0 && withinBox(c, d, b)) ||
+    (d3 === 0 && withinBox(a, b, c)) ||
+    (d4 === 0 && withinBox(a, b, d));
+};
+
+const edgesOf = (points) => points.map((point, index) => [point, points[(index + 1) % points.length]]);
+
+export const isSelfIntersecting = (points) => {
+  const edges = edgesOf(points);
+  for (let i = 0; i < edges.length; i++) {
+    for (let j = i + 1; j < edges.length; j++) {
+      // Neighbouring edges always meet at their shared vertex
+      if (j === i + 1 || (i === 0 && j === edges.length - 1)) continue;
+      if (segmentsIntersect(edges[i][0], edges[i][1], edges[j][0], edges[j][1])) return true;
+    }
+  }
+  return false;
+};
+
+const centroidOf = (points) => ({
+  x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+  y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+});
+
+const isOnOutline = (point, polygon) =>
+  edgesOf(polygon).some(([start, end]) => sign(cross(start, end, point)) === 0 && withinBox(start, end, point));
+
+const isStrictlyInside = (point, polygon) => pointInPolygon(point, polygon) && !isOnOutline(point, polygon);
+
+// Whether two outlines share some area. Edges crossing or a vertex inside the
+// other zone covers most cases; the centroids catch identical outlines.
+export const polygonsOverlap = (a, b) => {
+  const edgesA = edgesOf(a);
+  const edgesB = edgesOf(b);
+  if (edgesA.some(([p, q]) => edgesB.some(([r, s]) => segmentsIntersect(p, q, r, s, false)))) return true;
+  if (a.some(point => isStrictlyInside(point, b)) || b.some(point => isStrictlyInside(point, a))) return true;
+
+  const centroidA = centroidOf(a);
+  const centroidB = centroidOf(b);
+  return (isStrictlyInside(centroidA, a) && isStrictlyInside(centroidA, b)) ||
+    (isStrictlyInside(centroidB, b) && isStrictlyInside(centroidB, a));
+};
+
+// Smallest convex outline around the points (Andrew's monotone chain).
+// Points inside it are dropped.
+export const convexHull = (points) => {
+  const sorted = [...points].sort((a, b) => (a.x - b.x) || (a.y - b.y));
+  if (sorted.length < 3) return sorted;
+
+  const lower = [];
+  sorted.forEach(point => {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) {
+      lower.pop();
+    }
+    lower.push(point);
+  });
+  const upper = [];
+  [...sorted].reverse().forEach(point => {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) {
+      upper.pop();
+    }
+    upper.push(point);
+  });
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+};
+
+// The same points in order of angle around their centroid. Keeps every point,
+// so a concave zone whose points were just placed out of order keeps its shape.
+export const reorderPoints = (points) => {
+  const centre = centroidOf(points);
+  const angleOf = (point) => Math.atan2(point.y - centre.y, point.x - centre.x);
+  return [...points].sort((a, b) => angleOf(a) - angleOf(b));
+};
+
+// Problems with a zone outline, as { errors, warnings } lists of { code, message }.
+// `zoneId` is the zone being edited, which is not checked against itself.
+export const validateZone = (points, { zones = [], zoneId = null, sensorSettings = null } = {}) => {
+  const errors = [];
+  const warnings = [];
+
+  if (points.length < 3) {
+    errors.push({ code: 'too_few_points', message: 'A zone must have at least 3 points to be valid.' });
+  } else if (isSelfIntersecting(points)) {
+    errors.push({ code: 'self_intersecting', message: "The zone's edges cross each other, so it is unclear which areas are inside it." });
+  } else if (polygonArea(points) < MIN_AREA) {
+    errors.push({ code: 'no_area', message: 'The zone is too small to detect anyone in.' });
+  }
+  if (errors.length > 0) return { errors, warnings };
+
+  const overlapping = zones.filter(zone => zone.id !== zoneId && polygonsOverlap(points, zone.points));
+  if (overlapping.length > 0) {
+    warnings.push({
+      code: 'overlap',
+      message: `It overlaps ${overlapping.map(zone => `"${zone.name}"`).join(', ')}. Targets in the overlap count as being in each zone.`
+    });
+  }
+
+  // Coverage is convex (the field of view is at most 180°), so checking the vertices is enough
+  if (sensorSettings && points.some(point => !isInCoverage(point, sensorSettings))) {
+    warnings.push({
+      code: 'outside_coverage',
+      message: "Part of it is outside the sensor's coverage, where nobody will be detected."
+    });
+  }
+
+  return { errors, warnings };
+};
@@ -0,0 +1,87 @@
+// Tools for drawing zones and the outlines they produce. Points are in room
+// coordinates. The polygon tool's points are the zone's vertices; the
+// rectangle takes two opposite corners, and the circle its centre and a point
+// on its edge.
+
+const CIRCLE_SEGMENTS = 32; // Circles are stored as polygons with this many sides
+
+export const ZONE_TOOLS = [
+  { id: 'polygon', label: 'Points', hint: 'Tap to place each corner of the zone.' },
+  { id: 'rectangle', label: 'Rectangle', hint: 'Drag from one corner to the opposite one.' },
+  { id: 'circle', label: 'Circle', hint: 'Drag from the centre outwards.' }
+];
+
+const roundTo = (value, digits) => Number(value.toFixed(digits));
+
+export const snapPoint = (point, step) => ({
+  x: roundTo(Math.round(point.x / step) * step, 3),
+  y: roundTo(Math.round(point.y / step) * step, 3)
+});
+
+// Polygon for the points placed with a tool, empty until the shape has all it needs
+export const zoneOutline = (tool, points) => {
+  if (tool === 'polygon') return points;
+  if (points.length < 2) return [];
+
+  const [start, end] = points;
+  if (tool === 'rectangle') {
+    return [
+      start,
+      { x: end.x, y: start.y },
+      end,
+      { x: start.x, y: end.y }
+    ];
+  }
+
+  const radius = Math.hypot(end.x - start.x, end.y - start.y);
+  const outline = [];
+  for (let i = 0; i < CIRCLE_SEGMENTS; i++) {
+    const angle = (i / CIRCLE_SEGMENTS) * 2 * Math.PI;
+    outline.push({
+      x: roundTo(start.x + radius * Math.cos(angle), 3),
+      y: roundTo(start.y + radius * Math.sin(angle), 3)
+    });
+  }
+  return outline;
+};
+
+// Whether the points make a zone with some area
+export const isShapeComplete = (tool, points) => {
+  if (tool === 'polygon') return points.length >= 3;
+  if (points.length < 2) return false;
+
+  const [start, end] = points;
+  if (tool === 'rectangle') return start.x !== end.x && start.y !== end.y;
+  return start.x !== end.x || start.y !== end.y;
+};
+
+// Shoelace formula, in square metres
+export const polygonArea = (points) => {
+  let area = 0;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    area += (points[j].x + points[i].x) * (points[j].y - points[i].y);
+  }
+  return Math.abs(area) / 2;
+};
+
+// Size and area of a zone while it is drawn, or null before anything is placed
+export const describeZoneShape = (tool, points) => {
+  if (points.length === 0) return null;
+  if (tool === 'polygon' && points.length < 3) {
+    return `${points.length} point${points.length === 1 ? '' : 's'}`;
+  }
+
+  const outline = zoneOutline(tool, points);
+  if (outline.length === 0) return null;
+  const area = `${polygonArea(outline).toFixed(2)} m²`;
+
+  if (tool === 'circle') {
+    const [centre, edge] = points;
+    return `Radius ${Math.hypot(edge.x - centre.x, edge.y - centre.y).toFixed(2)} m, ${area}`;
+  }
+
+  const xs = outline.map(point => point.x);
+  const ys = outline.map(point => point.y);
+  const size = `${(Math.max(...xs) - Math.min(...xs)).toFixed(2)} × ${(Math.max(...ys) - Math.min(...ys)).toFixed(2)} m`;
+  return tool === 'polygon' ? `${points.length} points, ${size}, ${area}` : `${size}, ${area}`;
+};